@@ -1,4 +1,4 @@
-import React, { useEffect } from "react";
+import React from "react";
 import { useSelector } from "react-redux";
 import usePostDetailsThunkPoll from "./hooks/usePostDetailsThunkPoll";
 
@@ -6,22 +6,8 @@ const PostDetails = () => {
   const postDetails = useSelector((state) => state.posts?.postDetails ?? {});
 
   // Use the polling hook
-  const {
-    startPolling,
-    stopPolling,
-    isPollingJobActive,
-    isPolling,
-    attemptCount,
-  } = usePostDetailsThunkPoll();
-
-  // Start polling on component mount and stop on unmount
-  useEffect(() => {
-    startPolling();
-
-    return () => {
-      stopPolling();
-    };
-  }, [startPolling, stopPolling]);
+  const { isPollingJobActive, isPolling, attemptCount, failureReason } =
+    usePostDetailsThunkPoll();
 
   return (
     <div>
@@ -30,6 +16,11 @@ const PostDetails = () => {
         {isPollingJobActive ? `IS Polling -  ${isPolling}` : "Polling JOB Done"}
       </h2>
       <h3>Polling count {attemptCount}</h3>
+      {failureReason && (
+        <div style={{ marginBottom: "1rem", color: "red" }}>
+          Polling failed: {failureReason}
+        </div>
+      )}
       <div>
         <strong>Post Details</strong>
         <div>Title: {postDetails.title}</div>
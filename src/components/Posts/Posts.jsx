@@ -1,7 +1,10 @@
-import React, { useEffect } from "react";
+import React, { useEffect, useState } from "react";
 import { useSelector } from "react-redux";
 import usePostThunkPoll from "./hooks/usePostThunkPoll";
 
+// Attempts added to a failed job by the "Keep trying" button
+const EXTRA_ATTEMPTS = 5;
+
 const Posts = () => {
   const posts = useSelector((state) => state.posts?.items ?? []);
   const status = useSelector((state) => state.posts?.status ?? "idle");
@@ -9,28 +12,38 @@ const Posts = () => {
 
   // Use the polling hook
   const {
-    startPolling,
-    stopPolling,
+    pausePolling,
+    resumePolling,
+    pollNow,
+    extendPolling,
     isPollingJobActive,
+    isPaused,
     isPolling,
     attemptCount,
     validationStatus,
+    failureReason,
+    isOffline,
+    nextPollAt,
   } = usePostThunkPoll(); // 5 attempts, 3-second interval
 
-  // Start polling on component mount and stop on unmount
+  // Re-render every second while a refresh is scheduled to count down to it
+  const [now, setNow] = useState(() => Date.now());
   useEffect(() => {
-    startPolling();
-
-    return () => {
-      stopPolling();
-    };
-  }, [startPolling, stopPolling]);
+    if (nextPollAt == null) return undefined;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [nextPollAt]);
 
   // Render loading, error, or posts based on the current state
   if (status === "loading" && posts.length === 0) {
     return <div>Loading...</div>;
   }
 
+  if (isOffline && posts.length === 0) {
+    return <div>You are offline. Posts will load once you reconnect.</div>;
+  }
+
   if (status === "failed" && posts.length === 0) {
     return <div>Error: {error}</div>;
   }
@@ -41,6 +54,35 @@ const Posts = () => {
         Posts {isPollingJobActive ? "Polling JOB Active" : "Polling JOB Done"}
       </h2>
       <h3>Polling count {attemptCount}</h3>
+      {nextPollAt != null && (
+        <div className="mb-2">
+          Next refresh in {Math.max(0, Math.ceil((nextPollAt - now) / 1000))}s
+        </div>
+      )}
+      {isPollingJobActive && (
+        <>
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-secondary mb-3"
+            onClick={isPaused ? resumePolling : pausePolling}
+          >
+            {isPaused ? "Resume live updates" : "Pause live updates"}
+          </button>{" "}
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-primary mb-3"
+            onClick={pollNow}
+            disabled={isPolling || isPaused || isOffline}
+          >
+            Refresh now
+          </button>
+        </>
+      )}
+      {isOffline && (
+        <div style={{ marginBottom: "1rem", color: "orange" }}>
+          You are offline. Polling will resume once you reconnect.
+        </div>
+      )}
       {validationStatus && (
         <div
           style={{
@@ -49,6 +91,16 @@ const Posts = () => {
           }}
         >
           Polling finished: {validationStatus.replace("_", " ")}
+          {failureReason && ` (${failureReason})`}
+          {validationStatus !== "success" && (
+            <button
+              type="button"
+              className="btn btn-sm btn-outline-danger ms-2"
+              onClick={() => extendPolling(EXTRA_ATTEMPTS)}
+            >
+              Keep trying
+            </button>
+          )}
         </div>
       )}
       <div>
@@ -1,17 +1,28 @@
 import React from "react";
-import { render, screen } from "@testing-library/react";
+import { render, screen, fireEvent, act } from "@testing-library/react";
 import { Provider } from "react-redux";
 import configureMockStore from "redux-mock-store";
 import Posts from "./Posts";
-jest.mock("./hooks/usePostThunkPoll", () => () => ({
+
+const defaultPollingState = {
   startPolling: jest.fn(),
   stopPolling: jest.fn(),
+  pausePolling: jest.fn(),
+  resumePolling: jest.fn(),
+  pollNow: jest.fn(),
+  extendPolling: jest.fn(),
   isPollingJobActive: false,
+  isPaused: false,
   isPolling: false,
   attemptCount: 0,
   validationStatus: null,
+  failureReason: null,
+  isOffline: false,
+  nextPollAt: null,
   postsCount: 0,
-}));
+};
+let mockPollingState = defaultPollingState;
+jest.mock("./hooks/usePostThunkPoll", () => () => mockPollingState);
 
 const mockStore = configureMockStore();
 
@@ -27,6 +38,11 @@ const defaultState = {
 };
 
 describe("Posts Component", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPollingState = defaultPollingState;
+  });
+
   it("renders posts list", () => {
     const store = mockStore(defaultState);
     render(
@@ -76,4 +92,167 @@ describe("Posts Component", () => {
     );
     expect(screen.getByText("No posts found")).toBeInTheDocument();
   });
+
+  it("shows an offline message instead of an error when offline", () => {
+    mockPollingState = { ...defaultPollingState, isOffline: true };
+    const store = mockStore({
+      posts: { items: [], status: "failed", error: "Failed to fetch posts" },
+    });
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    expect(
+      screen.getByText("You are offline. Posts will load once you reconnect.")
+    ).toBeInTheDocument();
+    expect(screen.queryByText(/Error:/)).not.toBeInTheDocument();
+  });
+
+  it("shows an offline banner above existing posts", () => {
+    mockPollingState = { ...defaultPollingState, isOffline: true };
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    expect(
+      screen.getByText(
+        "You are offline. Polling will resume once you reconnect."
+      )
+    ).toBeInTheDocument();
+    expect(screen.getByText("Test Post")).toBeInTheDocument();
+  });
+
+  it("pauses live updates from the toggle while a job is active", () => {
+    mockPollingState = { ...defaultPollingState, isPollingJobActive: true };
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    fireEvent.click(screen.getByText("Pause live updates"));
+    expect(defaultPollingState.pausePolling).toHaveBeenCalled();
+  });
+
+  it("resumes live updates from the toggle when paused", () => {
+    mockPollingState = {
+      ...defaultPollingState,
+      isPollingJobActive: true,
+      isPaused: true,
+    };
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    fireEvent.click(screen.getByText("Resume live updates"));
+    expect(defaultPollingState.resumePolling).toHaveBeenCalled();
+  });
+
+  it("shows why a failed job stopped", () => {
+    mockPollingState = {
+      ...defaultPollingState,
+      validationStatus: "failed",
+      failureReason: "Posts were withdrawn",
+    };
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    expect(
+      screen.getByText("Polling finished: failed (Posts were withdrawn)")
+    ).toBeInTheDocument();
+  });
+
+  it("refreshes right away from the refresh button", () => {
+    mockPollingState = { ...defaultPollingState, isPollingJobActive: true };
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    fireEvent.click(screen.getByText("Refresh now"));
+    expect(defaultPollingState.pollNow).toHaveBeenCalled();
+  });
+
+  it("disables the refresh button while a request is in flight", () => {
+    mockPollingState = {
+      ...defaultPollingState,
+      isPollingJobActive: true,
+      isPolling: true,
+    };
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    expect(screen.getByText("Refresh now")).toBeDisabled();
+  });
+
+  it("counts down to the next refresh", () => {
+    jest.useFakeTimers();
+    mockPollingState = {
+      ...defaultPollingState,
+      isPollingJobActive: true,
+      nextPollAt: Date.now() + 3000,
+    };
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    expect(screen.getByText("Next refresh in 3s")).toBeInTheDocument();
+
+    act(() => {
+      jest.advanceTimersByTime(2000);
+    });
+    expect(screen.getByText("Next refresh in 1s")).toBeInTheDocument();
+    jest.useRealTimers();
+  });
+
+  it("keeps the same job going from the failure banner", () => {
+    mockPollingState = {
+      ...defaultPollingState,
+      validationStatus: "max_attempts_reached",
+      attemptCount: 5,
+    };
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    fireEvent.click(screen.getByText("Keep trying"));
+    expect(defaultPollingState.extendPolling).toHaveBeenCalledWith(5);
+  });
+
+  it("does not offer to keep trying after a success", () => {
+    mockPollingState = { ...defaultPollingState, validationStatus: "success" };
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    expect(screen.queryByText("Keep trying")).not.toBeInTheDocument();
+  });
+
+  it("hides the live updates toggle once the job is done", () => {
+    const store = mockStore(defaultState);
+    render(
+      <Provider store={store}>
+        <Posts />
+      </Provider>
+    );
+    expect(screen.queryByText("Pause live updates")).not.toBeInTheDocument();
+  });
 });
@@ -16,16 +16,25 @@ const usePostDetailsThunkPoll = (requestId = "1") => {
     return Promise.resolve();
   }, [dispatch, requestId]);
 
+  // A rejected post will never fill in its body, so stop right away
   const validator = useCallback((data) => {
     if (!data) return false;
-    return data.every((post) => post?.body && post.body.trim() !== "");
+    // /posts/:id answers with a single post
+    const posts = Array.isArray(data) ? data : [data];
+    if (posts.some((post) => post?.status === "rejected")) {
+      return { status: "fail", reason: "Post was rejected" };
+    }
+    return posts.every((post) => post?.body && post.body.trim() !== "");
   }, []);
 
+  // Starts on mount, and a new requestId restarts the job from scratch
+  // instead of swapping the thunk mid-job
   const pollingState = useThunkPoll(
     thunkAction,
     MAX_POLL_ATTEMPTS,
     POLL_INTERVAL_MS,
-    validator
+    validator,
+    { enabled: true, deps: [requestId] }
   );
 
   return {
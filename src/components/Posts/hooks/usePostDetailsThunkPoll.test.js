@@ -56,7 +56,8 @@ describe("usePostDetailsThunkPoll", () => {
         expect.any(Function), // thunkAction
         5, // MAX_POLL_ATTEMPTS
         3000, // POLL_INTERVAL_MS
-        expect.any(Function) // validator
+        expect.any(Function), // validator
+        expect.objectContaining({ enabled: true })
       );
     });
 
@@ -67,7 +68,8 @@ describe("usePostDetailsThunkPoll", () => {
         expect.any(Function),
         5, // MAX_POLL_ATTEMPTS
         3000, // POLL_INTERVAL_MS
-        expect.any(Function)
+        expect.any(Function),
+        expect.objectContaining({ enabled: true })
       );
     });
   });
@@ -84,7 +86,8 @@ describe("usePostDetailsThunkPoll", () => {
         expect.any(Function),
         5,
         3000,
-        expect.any(Function)
+        expect.any(Function),
+        expect.objectContaining({ enabled: true })
       );
     });
 
@@ -95,7 +98,8 @@ describe("usePostDetailsThunkPoll", () => {
         expect.any(Function),
         5,
         3000,
-        expect.any(Function)
+        expect.any(Function),
+        expect.objectContaining({ enabled: true })
       );
     });
 
@@ -106,7 +110,8 @@ describe("usePostDetailsThunkPoll", () => {
         expect.any(Function),
         5,
         3000,
-        expect.any(Function)
+        expect.any(Function),
+        expect.objectContaining({ enabled: true })
       );
     });
   });
@@ -161,6 +166,53 @@ describe("usePostDetailsThunkPoll", () => {
   });
 
   describe("Validator Logic", () => {
+    it("should fail the job when a post comes back rejected", () => {
+      let capturedValidator;
+      mockUseThunkPoll.mockImplementation((action, max, int, validator) => {
+        capturedValidator = validator;
+        return {
+          isPollingJobActive: false,
+          isPolling: false,
+          attemptCount: 0,
+          lastResult: null,
+          validationStatus: null,
+          startPolling: jest.fn(),
+          stopPolling: jest.fn(),
+        };
+      });
+
+      renderHook(() => usePostDetailsThunkPoll(), { wrapper });
+
+      expect(capturedValidator([{ body: "", status: "rejected" }])).toEqual({
+        status: "fail",
+        reason: "Post was rejected",
+      });
+    });
+
+    it("should validate the single post that /posts/:id returns", () => {
+      let capturedValidator;
+      mockUseThunkPoll.mockImplementation((action, max, int, validator) => {
+        capturedValidator = validator;
+        return {
+          isPollingJobActive: false,
+          isPolling: false,
+          attemptCount: 0,
+          lastResult: null,
+          validationStatus: null,
+          startPolling: jest.fn(),
+          stopPolling: jest.fn(),
+        };
+      });
+
+      renderHook(() => usePostDetailsThunkPoll(), { wrapper });
+
+      expect(capturedValidator({ id: 1, body: "" })).toBe(false);
+      expect(capturedValidator({ id: 1, body: "Post body" })).toBe(true);
+      expect(
+        capturedValidator({ id: 1, body: "", status: "rejected" })
+      ).toEqual({ status: "fail", reason: "Post was rejected" });
+    });
+
     it("should return false when data is null or undefined", () => {
       let capturedValidator;
       mockUseThunkPoll.mockImplementation((action, max, int, validator) => {
@@ -377,6 +429,33 @@ describe("usePostDetailsThunkPoll", () => {
     });
   });
 
+  describe("Auto Start", () => {
+    it("should start on mount and restart when requestId changes", () => {
+      const { rerender } = renderHook(
+        ({ requestId }) => usePostDetailsThunkPoll(requestId),
+        { wrapper, initialProps: { requestId: "1" } }
+      );
+
+      expect(mockUseThunkPoll).toHaveBeenLastCalledWith(
+        expect.any(Function),
+        5,
+        3000,
+        expect.any(Function),
+        { enabled: true, deps: ["1"] }
+      );
+
+      rerender({ requestId: "2" });
+
+      expect(mockUseThunkPoll).toHaveBeenLastCalledWith(
+        expect.any(Function),
+        5,
+        3000,
+        expect.any(Function),
+        { enabled: true, deps: ["2"] }
+      );
+    });
+  });
+
   describe("Integration with useThunkPoll", () => {
     it("should pass correct parameters to useThunkPoll", () => {
       renderHook(() => usePostDetailsThunkPoll("789"), { wrapper });
@@ -385,7 +464,8 @@ describe("usePostDetailsThunkPoll", () => {
         expect.any(Function),
         5, // MAX_POLL_ATTEMPTS
         3000, // POLL_INTERVAL_MS
-        expect.any(Function)
+        expect.any(Function),
+        expect.objectContaining({ enabled: true })
       );
     });
   });
@@ -1,10 +1,23 @@
 import { useCallback } from "react";
 import { useDispatch } from "react-redux";
 import useThunkPoll from "../../../hooks/useThunkPoll";
+import { BackoffStrategies } from "../../../hooks/pollingBackoff";
 import { fetchPosts } from "../postSlice";
 
 const MAX_POLL_ATTEMPTS = 5;
 const POLL_INTERVAL_MS = 3000;
+// Back off exponentially (3s, 6s, 12s, ...) so slow endpoints get breathing room,
+// and stay quiet while the tab is in the background. The "posts" key mirrors
+// the job into the polling slice, and crossTab makes every open tab share one
+// loop under it. Polling starts as soon as the hook mounts.
+const POLL_OPTIONS = {
+  enabled: true,
+  key: "posts",
+  crossTab: true,
+  backoff: BackoffStrategies.EXPONENTIAL,
+  maxInterval: 30000,
+  pauseWhenHidden: true,
+};
 
 const usePostThunkPoll = () => {
   const dispatch = useDispatch();
@@ -21,7 +34,8 @@ const usePostThunkPoll = () => {
     thunkAction,
     MAX_POLL_ATTEMPTS,
     POLL_INTERVAL_MS,
-    validator
+    validator,
+    POLL_OPTIONS
   );
 
   const postsCount =
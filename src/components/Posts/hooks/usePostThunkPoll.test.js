@@ -49,7 +49,16 @@ describe("usePostThunkPoll", () => {
         expect.any(Function), // thunkAction
         5, // default maxAttempts
         3000, // default interval
-        expect.any(Function) // postsValidator
+        expect.any(Function), // postsValidator
+        // default options
+        {
+          enabled: true,
+          key: "posts",
+          crossTab: true,
+          backoff: "exponential",
+          maxInterval: 30000,
+          pauseWhenHidden: true,
+        }
       );
     });
   });
@@ -1,23 +1,35 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
 
-// Example async thunk for fetching posts
-export const fetchPosts = createAsyncThunk("posts/fetchPosts", async () => {
-  const response = await fetch("https://jsonplaceholder.typicode.com/posts");
-  if (!response.ok) {
-    // If the API call fails, throw an error to trigger the 'rejected' state.
-    throw new Error("Failed to fetch posts");
+const POSTS_URL = "https://jsonplaceholder.typicode.com/posts";
+
+// Example async thunk for fetching posts. Pass `{ since }` (for example the
+// attempt context's lastSuccessAt) to ask only for posts changed since then.
+export const fetchPosts = createAsyncThunk(
+  "posts/fetchPosts",
+  async ({ since } = {}, { signal }) => {
+    const url =
+      since != null
+        ? `${POSTS_URL}?since=${encodeURIComponent(since)}`
+        : POSTS_URL;
+    // Forward the thunk's signal so promise.abort() cancels the request too
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      // If the API call fails, throw an error to trigger the 'rejected' state.
+      throw new Error("Failed to fetch posts");
+    }
+    const data = await response.json();
+    return data;
   }
-  const data = await response.json();
-  return data;
-});
+);
 
 export const fetchPostDetails = createAsyncThunk(
   "posts/fetchPostDetails",
-  async (payload) => {
+  async (payload, { signal }) => {
     const { postId } = payload;
     console.log("🚀 ~ postId:", postId);
     const response = await fetch(
-      `https://jsonplaceholder.typicode.com/posts/${postId}`
+      `https://jsonplaceholder.typicode.com/posts/${postId}`,
+      { signal }
     );
     if (!response.ok) {
       throw new Error("Failed to fetch post details");
@@ -50,9 +62,26 @@ const postSlice = createSlice({
       })
       .addCase(fetchPosts.fulfilled, (state, action) => {
         state.status = "succeeded";
-        state.items = action.payload;
+        if (action.meta.arg?.since == null) {
+          state.items = action.payload;
+          return;
+        }
+        // Only changed posts came back; merge them into what we have
+        action.payload.forEach((post) => {
+          const index = state.items.findIndex((item) => item.id === post.id);
+          if (index === -1) {
+            state.items.push(post);
+          } else {
+            state.items[index] = post;
+          }
+        });
       })
       .addCase(fetchPosts.rejected, (state, action) => {
+        // Polling was cancelled on purpose, not a failure worth showing
+        if (action.meta.aborted) {
+          state.status = "idle";
+          return;
+        }
         state.status = "failed";
         state.error = action.error.message;
       })
@@ -64,6 +93,10 @@ const postSlice = createSlice({
         state.postDetails = action.payload;
       })
       .addCase(fetchPostDetails.rejected, (state, action) => {
+        if (action.meta.aborted) {
+          state.status = "idle";
+          return;
+        }
         state.status = "failed";
         state.error = action.error.message;
       });
@@ -0,0 +1,123 @@
+import { configureStore } from "@reduxjs/toolkit";
+import postReducer, { fetchPostDetails, fetchPosts } from "./postSlice";
+
+describe("postSlice", () => {
+  const initialState = postReducer(undefined, { type: "@@INIT" });
+
+  describe("fetchPosts", () => {
+    it("should replace the list on a full fetch", () => {
+      const state = {
+        ...initialState,
+        items: [{ id: 1, title: "Old" }],
+      };
+
+      const next = postReducer(
+        state,
+        fetchPosts.fulfilled([{ id: 2, title: "New" }], "request-1")
+      );
+
+      expect(next.status).toBe("succeeded");
+      expect(next.items).toEqual([{ id: 2, title: "New" }]);
+    });
+
+    it("should merge posts fetched since a cursor into the list", () => {
+      const state = {
+        ...initialState,
+        items: [
+          { id: 1, title: "First" },
+          { id: 2, title: "Second" },
+        ],
+      };
+
+      const next = postReducer(
+        state,
+        fetchPosts.fulfilled(
+          [
+            { id: 2, title: "Second, edited" },
+            { id: 3, title: "Third" },
+          ],
+          "request-1",
+          { since: 1700000000000 }
+        )
+      );
+
+      expect(next.items).toEqual([
+        { id: 1, title: "First" },
+        { id: 2, title: "Second, edited" },
+        { id: 3, title: "Third" },
+      ]);
+    });
+
+    it("should ask only for posts changed since the cursor", async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve([]),
+      });
+
+      await fetchPosts({ since: "2024-01-01T00:00:00Z" })(
+        jest.fn(),
+        () => ({}),
+        undefined
+      );
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "https://jsonplaceholder.typicode.com/posts?since=2024-01-01T00%3A00%3A00Z",
+        expect.any(Object)
+      );
+      delete global.fetch;
+    });
+  });
+
+  describe("aborting", () => {
+    let store;
+
+    beforeEach(() => {
+      store = configureStore({ reducer: { posts: postReducer } });
+      // Never settles on its own, only by being aborted like a real fetch
+      global.fetch = jest.fn(
+        (url, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () =>
+              reject(new DOMException("Aborted", "AbortError"))
+            );
+          })
+      );
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it("should hand the thunk's signal to fetch", () => {
+      const request = store.dispatch(fetchPosts());
+
+      const [, init] = global.fetch.mock.calls[0];
+      expect(init.signal.aborted).toBe(false);
+      request.abort();
+      expect(init.signal.aborted).toBe(true);
+    });
+
+    it("should go back to idle without an error when fetchPosts is aborted", async () => {
+      const request = store.dispatch(fetchPosts());
+      expect(store.getState().posts.status).toBe("loading");
+
+      request.abort();
+      await request;
+
+      expect(store.getState().posts.status).toBe("idle");
+      expect(store.getState().posts.error).toBeNull();
+    });
+
+    it("should go back to idle without an error when fetchPostDetails is aborted", async () => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const request = store.dispatch(fetchPostDetails({ postId: 1 }));
+      request.abort();
+      await request;
+
+      expect(store.getState().posts.status).toBe("idle");
+      expect(store.getState().posts.error).toBeNull();
+      console.log.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const THUNK_FACTORY = Symbol("thunkFactory");
+
+/**
+ * Marks a thunk factory: instead of dispatching the same thunk every time,
+ * the poller calls `factory(context)` on each attempt and dispatches what it
+ * returns. The context is `{ attempt, lastResult, lastSuccessAt, signal }`,
+ * enough to ask only for what changed since the previous attempt:
+ *
+ *   useThunkPoll(
+ *     withAttemptContext(({ lastSuccessAt }) =>
+ *       fetchPosts(lastSuccessAt ? { since: lastSuccessAt } : undefined)
+ *     ),
+ *     options
+ *   );
+ *
+ * `signal` is aborted when the attempt is, for factories that fetch directly.
+ */
+export const withAttemptContext = (factory) => {
+  const thunkFactory = (context) => factory(context);
+  thunkFactory[THUNK_FACTORY] = true;
+  return thunkFactory;
+};
+
+export const isThunkFactory = (thunk) => thunk?.[THUNK_FACTORY] === true;
@@ -0,0 +1,748 @@
+import { isRejected } from "@reduxjs/toolkit";
+import { isThunkFactory } from "./attemptContext";
+import { OverlapPolicies, Schedules, getBackoffDelay } from "./pollingBackoff";
+import { HistoryOutcomes, summarizePayload } from "./pollHistory";
+import {
+  clearJobProgress,
+  loadJobProgress,
+  saveJobProgress,
+} from "./pollPersistence";
+import { validatePollerOptions } from "./pollOptions";
+import { ValidationVerdicts, readValidatorResult } from "./pollValidation";
+import {
+  ActionTypes,
+  SuspendReasons,
+  initialState,
+  pollingReducer,
+} from "./pollingReducer";
+import { pollStateSynced, toPollSnapshot } from "../store/pollingSlice";
+
+// The outcome startPolling resolves with, read off a state whose job just ended
+export const getJobOutcome = ({
+  validationStatus,
+  attemptCount,
+  lastResult,
+  failureReason,
+}) => ({
+  status: validationStatus ?? "stopped",
+  attemptCount,
+  lastResult,
+  ...(validationStatus === "failed" && { failureReason }),
+});
+
+// Resolves everyone awaiting a job, or with rejectOnFailure rejects them
+// unless the job succeeded
+export const settleWaiters = (waiters, outcome, rejectOnFailure) => {
+  const shouldReject = rejectOnFailure && outcome.status !== "success";
+  waiters.forEach(({ resolve, reject }) => {
+    if (shouldReject) {
+      const error = new Error(`Polling ended with status "${outcome.status}"`);
+      error.outcome = outcome;
+      reject(error);
+    } else {
+      resolve(outcome);
+    }
+  });
+};
+
+/**
+ * The poll loop behind useThunkPoll as a plain object, usable without React
+ * (sagas, scripts, tests):
+ *
+ *   const poller = createPoller({ dispatch, thunk, validator, maxAttempts, interval });
+ *   poller.subscribe(() => console.log(poller.getState()));
+ *   const { status } = await poller.start();
+ *
+ * Takes every useThunkPoll option plus `dispatch` and `thunk` (the thunk
+ * action to dispatch on each attempt). Browser listeners for
+ * pauseWhenHidden/pauseWhenOffline are only attached between connect() and
+ * the disconnect function it returns; disconnecting also stops a running job.
+ */
+const createPoller = (initialOptions) => {
+  validatePollerOptions(initialOptions);
+  let options = initialOptions;
+  let state = initialState;
+  const listeners = new Set();
+
+  let timeoutId = null;
+  let nextPollAt = null;
+  // Delay still owed before the next attempt, parked while suspended
+  let pendingDelay = null;
+  let deadlineId = null;
+  let deadlineStartedAt = null;
+  // Time left in the job's budget; only counts down while not suspended
+  let deadlineRemaining = null;
+  const suspendReasons = new Set();
+  // Requests still in flight; more than one only with overlap "allow"
+  const pendingRequests = new Set();
+  // The signal handed to a thunk factory, per request it built
+  const attemptControllers = new Map();
+  // When the job's last successful attempt started, for thunk factories
+  let lastSuccessAt = null;
+  // A fixed-rate tick that is waiting for the in-flight request (overlap "queue")
+  let tickQueued = false;
+  // maxAttempts for the current job once extendPolling has raised it
+  let attemptBudget = null;
+  // Saved with the job's progress under persistKey
+  let jobStartedAt = null;
+  // Incremented whenever a job ends, so late results of requests that
+  // belonged to that job are ignored
+  let jobId = 0;
+  // Callers awaiting the promise returned by start
+  let waiters = [];
+  let environmentCleanup = null;
+
+  // Keyed polls are mirrored into the polling slice so DevTools and other
+  // components can see them
+  const dispatchAction = (action) => {
+    state = pollingReducer(state, action);
+    if (options.key != null) {
+      options.dispatch(
+        pollStateSynced(options.key, action.type, toPollSnapshot(state))
+      );
+    }
+    listeners.forEach((listener) => listener());
+  };
+
+  const clearPollTimeout = () => {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+  };
+
+  // Drops a nextPollAt that no timer is going to honour any more
+  const clearNextPollAt = () => {
+    if (state.nextPollAt != null) {
+      dispatchAction({ type: ActionTypes.NEXT_POLL_SCHEDULED, payload: null });
+    }
+  };
+
+  const clearDeadline = () => {
+    if (deadlineId) {
+      clearTimeout(deadlineId);
+      deadlineId = null;
+    }
+  };
+
+  // Callbacks are read from the latest options so inline lambdas never
+  // restart anything. A throwing callback must not derail the poll loop.
+  const notify = (name, ...args) => {
+    const callback = options[name];
+    if (typeof callback !== "function") return;
+    try {
+      callback(...args);
+    } catch (error) {
+      console.error(`useThunkPoll: ${name} callback threw`, error);
+    }
+  };
+
+  // createAsyncThunk promises expose abort(), which also cancels the request
+  // when the thunk forwards its `signal` to fetch
+  const abortPendingRequests = () => {
+    const requests = [...pendingRequests];
+    const controllers = [...attemptControllers.values()];
+    pendingRequests.clear();
+    attemptControllers.clear();
+    tickQueued = false;
+    requests.forEach((request) => {
+      if (typeof request.abort === "function") {
+        request.abort();
+      }
+    });
+    controllers.forEach((controller) => controller.abort());
+  };
+
+  const endJob = () => {
+    jobId += 1;
+    clearPollTimeout();
+    clearDeadline();
+    deadlineRemaining = null;
+    pendingDelay = null;
+    abortPendingRequests();
+    clearNextPollAt();
+    // A manual pause belongs to the job, unlike hidden/offline
+    if (suspendReasons.delete(SuspendReasons.PAUSED)) {
+      dispatchAction({
+        type: ActionTypes.RESUME,
+        payload: SuspendReasons.PAUSED,
+      });
+    }
+  };
+
+  // Moves an active job into a final state and reports the outcome once.
+  // keepProgress leaves a persisted job in storage for the next mount; quiet
+  // skips onSettled for a job that carries on somewhere else.
+  const finishJob = (
+    type,
+    payload,
+    { keepProgress = false, quiet = false } = {}
+  ) => {
+    if (!state.isPollingJobActive) return;
+    if (options.persistKey && !keepProgress) {
+      clearJobProgress(options.persistKey);
+    }
+    // Taken first, so a job started again from a subscriber or onSettled
+    // keeps its own waiters
+    const settled = waiters;
+    waiters = [];
+    endJob();
+    dispatchAction({ type, payload });
+    const outcome = getJobOutcome(state);
+    if (!quiet) notify("onSettled", outcome);
+    settleWaiters(settled, outcome, options.rejectOnFailure);
+  };
+
+  const isFixedRate = () => options.schedule === Schedules.FIXED_RATE;
+
+  const getMaxAttempts = () => attemptBudget ?? options.maxAttempts;
+
+  // What is left of the timeout, with the running deadline counted down
+  const getTimeRemaining = () => {
+    if (deadlineRemaining == null) return null;
+    return deadlineId
+      ? deadlineRemaining - (Date.now() - deadlineStartedAt)
+      : deadlineRemaining;
+  };
+
+  // What the running job has left of its budget, in the shape continueJob
+  // takes to carry it on
+  const getProgress = () => ({
+    startedAt: jobStartedAt,
+    maxAttempts: getMaxAttempts() ?? null,
+    timeRemaining: getTimeRemaining(),
+  });
+
+  const saveProgress = () => {
+    if (!options.persistKey || !state.isPollingJobActive) return;
+    saveJobProgress(options.persistKey, {
+      attemptCount: state.attemptCount,
+      ...getProgress(),
+    });
+  };
+
+  // A custom backoff that throws falls back to the plain interval rather
+  // than stalling the loop
+  const getNextDelay = (attempt, result) => {
+    try {
+      return getBackoffDelay(attempt, result, options);
+    } catch (error) {
+      console.error("useThunkPoll: backoff threw", error);
+      return options.interval ?? 0;
+    }
+  };
+
+  // Runs the next attempt the way the schedule wants it
+  const runNext = () => (isFixedRate() ? tick() : performPoll());
+
+  const schedulePoll = (delay) => {
+    nextPollAt = Date.now() + delay;
+    timeoutId = setTimeout(runNext, delay);
+    dispatchAction({
+      type: ActionTypes.NEXT_POLL_SCHEDULED,
+      payload: nextPollAt,
+    });
+  };
+
+  // Thunks wrapped in withAttemptContext are built per attempt from what the
+  // job knows so far; anything else is dispatched as it is
+  const dispatchAttempt = (attempt) => {
+    if (!isThunkFactory(options.thunk)) {
+      return options.dispatch(options.thunk);
+    }
+    const controller = new AbortController();
+    const request = options.dispatch(
+      options.thunk({
+        attempt,
+        lastResult: state.lastResult,
+        lastSuccessAt,
+        signal: controller.signal,
+      })
+    );
+    attemptControllers.set(request, controller);
+    return request;
+  };
+
+  const performPoll = () => {
+    timeoutId = null;
+    if (!state.isPollingJobActive) return;
+    if (suspendReasons.size > 0) {
+      pendingDelay = 0;
+      return;
+    }
+
+    const currentJobId = jobId;
+    const attempt = state.attemptCount + pendingRequests.size + 1;
+    const attemptStartedAt = Date.now();
+
+    const recordAttempt = (outcome, summary) => {
+      if (!options.historySize) return;
+      const endedAt = Date.now();
+      dispatchAction({
+        type: ActionTypes.ATTEMPT_RECORDED,
+        payload: {
+          entry: {
+            attempt,
+            startedAt: attemptStartedAt,
+            endedAt,
+            duration: endedAt - attemptStartedAt,
+            outcome,
+            summary,
+          },
+          limit: options.historySize,
+        },
+      });
+    };
+
+    const handleNextPoll = (result) => {
+      saveProgress();
+      const maxAttempts = getMaxAttempts();
+      if (maxAttempts != null && attempt >= maxAttempts) {
+        notify("onMaxAttempts", result, attempt);
+        finishJob(ActionTypes.MAX_ATTEMPTS_REACHED);
+      } else if (isFixedRate()) {
+        // Ticks keep their own cadence; only a queued tick waits on us
+        if (tickQueued) {
+          tickQueued = false;
+          performPoll();
+        } else if (
+          timeoutId == null &&
+          pendingDelay == null &&
+          (maxAttempts == null ||
+            state.attemptCount + pendingRequests.size < maxAttempts)
+        ) {
+          // The ticks stopped once the budget was all started; extendPolling
+          // has since raised it, so they pick up again from here
+          const delay = getNextDelay(attempt, result);
+          if (suspendReasons.size > 0) {
+            pendingDelay = delay;
+          } else {
+            schedulePoll(delay);
+          }
+        }
+      } else {
+        const delay = getNextDelay(attempt, result);
+        if (suspendReasons.size > 0) {
+          pendingDelay = delay;
+        } else {
+          schedulePoll(delay);
+        }
+      }
+    };
+
+    const handleError = (error, result) => {
+      dispatchAction({
+        type: ActionTypes.POLL_ERROR,
+        payload: { error, result },
+      });
+      recordAttempt(HistoryOutcomes.ERROR, error?.message ?? String(error));
+      notify("onError", error, attempt, result);
+      const { maxConsecutiveErrors, retryOnError } = options;
+      let shouldRetry = true;
+      if (retryOnError) {
+        // A retry policy that throws gives up on the job
+        try {
+          shouldRetry = Boolean(retryOnError(error, result));
+        } catch (retryError) {
+          console.error("useThunkPoll: retryOnError threw", retryError);
+          shouldRetry = false;
+        }
+      }
+      if (
+        !shouldRetry ||
+        (maxConsecutiveErrors != null &&
+          state.consecutiveErrors >= maxConsecutiveErrors)
+      ) {
+        finishJob(ActionTypes.STOPPED_ON_ERROR);
+      } else {
+        handleNextPoll(result);
+      }
+    };
+
+    dispatchAction({ type: ActionTypes.POLL_INIT });
+    notify("onAttempt", attempt);
+
+    const request = dispatchAttempt(attempt);
+    pendingRequests.add(request);
+
+    // Two handlers rather than then/catch, so a throw while handling the
+    // result cannot count the same attempt a second time as an error
+    request.then(
+      (result) => {
+        if (currentJobId !== jobId) return;
+        pendingRequests.delete(request);
+        attemptControllers.delete(request);
+        // createAsyncThunk resolves with a rejected action instead of throwing
+        if (isRejected(result)) {
+          handleError(result.error, result);
+          return;
+        }
+        // A validator that throws makes the attempt an error, recorded once
+        let verdict;
+        let reason;
+        try {
+          ({ verdict, reason } = readValidatorResult(
+            options.validator(result.payload)
+          ));
+        } catch (error) {
+          handleError(error, result);
+          return;
+        }
+        lastSuccessAt = attemptStartedAt;
+        dispatchAction({ type: ActionTypes.POLL_RESULT, payload: result });
+        notify("onResult", result, attempt);
+        const summary = summarizePayload(result.payload);
+        if (verdict === ValidationVerdicts.SUCCESS) {
+          recordAttempt(HistoryOutcomes.VALIDATED, summary);
+          notify("onSuccess", result, attempt);
+          finishJob(ActionTypes.VALIDATION_SUCCESS);
+        } else if (verdict === ValidationVerdicts.FAIL) {
+          recordAttempt(HistoryOutcomes.FAILED, summary);
+          notify("onFailure", reason, result, attempt);
+          finishJob(ActionTypes.VALIDATION_FAILED, reason);
+        } else {
+          recordAttempt(HistoryOutcomes.CONTINUED, summary);
+          handleNextPoll(result);
+        }
+      },
+      (error) => {
+        if (currentJobId !== jobId) return;
+        pendingRequests.delete(request);
+        attemptControllers.delete(request);
+        handleError(error, { error });
+      }
+    );
+  };
+
+  // Fixed-rate ticks fire every interval (or backoff delay) no matter how long
+  // requests take. `overlap` decides what a tick does while one is in flight.
+  const tick = () => {
+    timeoutId = null;
+    if (!state.isPollingJobActive) return;
+    if (suspendReasons.size > 0) {
+      pendingDelay = 0;
+      return;
+    }
+    const { overlap = OverlapPolicies.SKIP } = options;
+    const maxAttempts = getMaxAttempts();
+    const started = () => state.attemptCount + pendingRequests.size;
+    if (maxAttempts != null && started() >= maxAttempts) {
+      clearNextPollAt();
+      return;
+    }
+
+    if (pendingRequests.size > 0 && overlap !== OverlapPolicies.ALLOW) {
+      if (overlap === OverlapPolicies.QUEUE) tickQueued = true;
+    } else {
+      performPoll();
+    }
+
+    if (
+      state.isPollingJobActive &&
+      (maxAttempts == null || started() < maxAttempts)
+    ) {
+      schedulePoll(getNextDelay(started() || 1, state.lastResult));
+    } else {
+      clearNextPollAt();
+    }
+  };
+
+  const handleTimeout = () => {
+    deadlineId = null;
+    finishJob(ActionTypes.TIMED_OUT);
+  };
+
+  const runDeadline = () => {
+    if (deadlineRemaining == null) return;
+    deadlineStartedAt = Date.now();
+    deadlineId = setTimeout(handleTimeout, deadlineRemaining);
+  };
+
+  // Puts the loop on hold: the wait until the next attempt and the remaining
+  // time budget are frozen until every suspend reason is cleared again
+  const suspend = (reason) => {
+    if (suspendReasons.has(reason)) return;
+    suspendReasons.add(reason);
+    dispatchAction({ type: ActionTypes.SUSPEND, payload: reason });
+    if (suspendReasons.size > 1) return;
+
+    if (timeoutId) {
+      pendingDelay = Math.max(0, nextPollAt - Date.now());
+      clearPollTimeout();
+    }
+    if (deadlineId) {
+      deadlineRemaining -= Date.now() - deadlineStartedAt;
+      clearDeadline();
+    }
+  };
+
+  const resume = (reason) => {
+    if (!suspendReasons.delete(reason)) return;
+    dispatchAction({ type: ActionTypes.RESUME, payload: reason });
+    if (suspendReasons.size > 0) return;
+
+    runDeadline();
+    const delay = pendingDelay;
+    pendingDelay = null;
+    // No parked delay means a request is still in flight and will schedule
+    // the next attempt itself
+    if (delay == null) return;
+    if (options.pollOnResume || delay === 0) {
+      runNext();
+    } else {
+      schedulePoll(delay);
+    }
+  };
+
+  const watchVisibility = () => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        suspend(SuspendReasons.HIDDEN);
+      } else {
+        resume(SuspendReasons.HIDDEN);
+      }
+    };
+
+    handleVisibilityChange();
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("focus", handleVisibilityChange);
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("focus", handleVisibilityChange);
+      resume(SuspendReasons.HIDDEN);
+    };
+  };
+
+  const watchConnectivity = () => {
+    const handleConnectivityChange = () => {
+      if (navigator.onLine === false) {
+        suspend(SuspendReasons.OFFLINE);
+      } else {
+        resume(SuspendReasons.OFFLINE);
+      }
+    };
+
+    handleConnectivityChange();
+    window.addEventListener("online", handleConnectivityChange);
+    window.addEventListener("offline", handleConnectivityChange);
+    return () => {
+      window.removeEventListener("online", handleConnectivityChange);
+      window.removeEventListener("offline", handleConnectivityChange);
+      resume(SuspendReasons.OFFLINE);
+    };
+  };
+
+  const watchEnvironment = () => {
+    const { pauseWhenHidden, pauseWhenOffline = true } = options;
+    const cleanups = [];
+    if (pauseWhenHidden && typeof document !== "undefined") {
+      cleanups.push(watchVisibility());
+    }
+    if (pauseWhenOffline && typeof navigator !== "undefined") {
+      cleanups.push(watchConnectivity());
+    }
+    return () => cleanups.forEach((cleanup) => cleanup());
+  };
+
+  const getState = () => state;
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  // Later options win; the running job picks them up on its next attempt
+  const setOptions = (nextOptions) => {
+    validatePollerOptions(nextOptions);
+    const previous = options;
+    options = nextOptions;
+    if (
+      environmentCleanup &&
+      (previous.pauseWhenHidden !== nextOptions.pauseWhenHidden ||
+        previous.pauseWhenOffline !== nextOptions.pauseWhenOffline)
+    ) {
+      environmentCleanup();
+      environmentCleanup = watchEnvironment();
+    }
+  };
+
+  // Resolves with { status, attemptCount, lastResult } once the job settles.
+  // The first attempt runs on the next microtask, so a stop in the same tick
+  // cancels the job before anything is dispatched.
+  const waitForOutcome = () =>
+    new Promise((resolve, reject) => {
+      waiters.push({ resolve, reject });
+    });
+
+  // Starts the clock and the first attempt of a job that just became active
+  const beginJob = (timeRemaining = options.timeout ?? null) => {
+    deadlineRemaining = timeRemaining;
+    saveProgress();
+    if (suspendReasons.size > 0) {
+      pendingDelay = 0;
+      return;
+    }
+    runDeadline();
+    const startedJobId = jobId;
+    const attemptsBefore = state.attemptCount;
+    Promise.resolve().then(() => {
+      // pollNow may already have run the first attempt
+      if (
+        startedJobId === jobId &&
+        state.attemptCount === attemptsBefore &&
+        pendingRequests.size === 0
+      ) {
+        runNext();
+      }
+    });
+  };
+
+  // Restarting a running job ends it first, so its deadline, timer and
+  // in-flight request cannot leak into the new one. Callers already awaiting
+  // it settle with the new job's outcome.
+  const start = () => {
+    if (state.isPollingJobActive) endJob();
+    attemptBudget = null;
+    jobStartedAt = Date.now();
+    lastSuccessAt = null;
+    dispatchAction({ type: ActionTypes.START_POLLING });
+    beginJob();
+    return waitForOutcome();
+  };
+
+  // Gives the job `extraAttempts` more attempts. A finished job is reopened
+  // with its attempt count, last result and history intact and a fresh
+  // timeout; a running job just gets a larger budget.
+  const extend = (extraAttempts) => {
+    if (!Number.isInteger(extraAttempts) || extraAttempts <= 0) {
+      throw new Error(
+        `extendPolling: extraAttempts must be a positive integer, received ${extraAttempts}`
+      );
+    }
+    if (state.isPollingJobActive) {
+      const maxAttempts = getMaxAttempts();
+      if (maxAttempts != null) attemptBudget = maxAttempts + extraAttempts;
+      saveProgress();
+      return waitForOutcome();
+    }
+    attemptBudget = state.attemptCount + extraAttempts;
+    dispatchAction({ type: ActionTypes.EXTEND_POLLING });
+    beginJob();
+    return waitForOutcome();
+  };
+
+  // Reactivates the job from progress made elsewhere: another poller's job
+  // (see crossTabPoller.js) or one saved before a reload
+  const continueJob = (
+    { attemptCount, lastResult, consecutiveErrors, history },
+    { maxAttempts = null, startedAt = Date.now(), timeRemaining } = {}
+  ) => {
+    if (state.isPollingJobActive) return;
+    resume(SuspendReasons.PAUSED);
+    attemptBudget = maxAttempts;
+    jobStartedAt = startedAt;
+    dispatchAction({
+      type: ActionTypes.JOB_ADOPTED,
+      payload: { attemptCount, lastResult, consecutiveErrors, history },
+    });
+    beginJob(timeRemaining);
+  };
+
+  // Carries on another poller's job from its attempt count, last result and
+  // history. Without the budget it had left (see getProgress), it gets the
+  // full maxAttempts and a fresh timeout.
+  const adopt = (progress, budget) => continueJob(progress, budget);
+
+  // Picks up a job saved under persistKey, unless it has expired since
+  const resumeSavedJob = () => {
+    if (!options.persistKey || state.isPollingJobActive) return;
+    const saved = loadJobProgress(options.persistKey);
+    if (!saved) return;
+    continueJob(
+      {
+        attemptCount: saved.attemptCount,
+        lastResult: null,
+        consecutiveErrors: 0,
+        history: [],
+      },
+      saved
+    );
+  };
+
+  const stop = () => {
+    finishJob(ActionTypes.STOP_POLLING);
+  };
+
+  // Stops the job here without reporting it as stopped, because it carries
+  // on in another poller (see crossTabPoller.js)
+  const release = () => {
+    finishJob(ActionTypes.STOP_POLLING, undefined, { quiet: true });
+  };
+
+  // Stops any running job and clears its state back to idle
+  const reset = () => {
+    stop();
+    if (options.persistKey) clearJobProgress(options.persistKey);
+    attemptBudget = null;
+    dispatchAction({ type: ActionTypes.RESET_POLLING });
+  };
+
+  // Unlike stop, pausing keeps the attempt count, last result and the
+  // remaining time budget so resume carries on with the same job
+  const pause = () => {
+    if (!state.isPollingJobActive) return;
+    suspend(SuspendReasons.PAUSED);
+  };
+
+  // Runs an attempt right away without resetting the job. Does nothing while
+  // a request is in flight or the job is paused, hidden or offline.
+  const pollNow = () => {
+    if (
+      !state.isPollingJobActive ||
+      suspendReasons.size > 0 ||
+      pendingRequests.size > 0
+    ) {
+      return;
+    }
+    clearPollTimeout();
+    runNext();
+  };
+
+  // Connecting is what mounting means to the poller, so a job saved under
+  // persistKey resumes here. Disconnecting keeps that progress: unmounting or
+  // reloading is not a decision to stop.
+  const connect = () => {
+    if (!environmentCleanup) {
+      environmentCleanup = watchEnvironment();
+    }
+    resumeSavedJob();
+    return () => {
+      finishJob(ActionTypes.STOP_POLLING, undefined, { keepProgress: true });
+      if (environmentCleanup) {
+        environmentCleanup();
+        environmentCleanup = null;
+      }
+    };
+  };
+
+  return {
+    getState,
+    getProgress,
+    subscribe,
+    setOptions,
+    start,
+    extend,
+    adopt,
+    stop,
+    release,
+    reset,
+    pause,
+    resume: () => resume(SuspendReasons.PAUSED),
+    pollNow,
+    connect,
+  };
+};
+
+export default createPoller;
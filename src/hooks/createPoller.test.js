@@ -0,0 +1,646 @@
+import createPoller from "./createPoller";
+import { withAttemptContext } from "./attemptContext";
+
+jest.useFakeTimers();
+
+const flushPromises = async () => {
+  await Promise.resolve();
+  await Promise.resolve();
+  await Promise.resolve();
+};
+
+describe("createPoller", () => {
+  let dispatch;
+  let thunk;
+  let validator;
+
+  const create = (options = {}) =>
+    createPoller({
+      dispatch,
+      thunk,
+      validator,
+      maxAttempts: 3,
+      interval: 1000,
+      ...options,
+    });
+
+  beforeEach(() => {
+    jest.clearAllTimers();
+    thunk = jest.fn();
+    validator = jest.fn().mockReturnValue(false);
+    dispatch = jest.fn().mockResolvedValue({ payload: { data: "test" } });
+  });
+
+  it("should start idle", () => {
+    const poller = create();
+
+    expect(poller.getState()).toEqual(
+      expect.objectContaining({
+        isPollingJobActive: false,
+        attemptCount: 0,
+        validationStatus: null,
+      })
+    );
+  });
+
+  it("should poll until the validator passes and resolve with the outcome", async () => {
+    validator.mockReturnValueOnce(false).mockReturnValueOnce(true);
+    const poller = create();
+
+    const outcome = poller.start();
+    await flushPromises();
+    expect(dispatch).toHaveBeenCalledWith(thunk);
+    expect(poller.getState().attemptCount).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    await expect(outcome).resolves.toEqual({
+      status: "success",
+      attemptCount: 2,
+      lastResult: { payload: { data: "test" } },
+    });
+    expect(poller.getState().isPollingJobActive).toBe(false);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it("should notify subscribers on every state change", async () => {
+    validator.mockReturnValue(true);
+    const poller = create();
+    const listener = jest.fn();
+    const unsubscribe = poller.subscribe(listener);
+
+    poller.start();
+    await flushPromises();
+
+    // START_POLLING, POLL_INIT, POLL_RESULT, VALIDATION_SUCCESS
+    expect(listener).toHaveBeenCalledTimes(4);
+
+    unsubscribe();
+    poller.start();
+    expect(listener).toHaveBeenCalledTimes(4);
+  });
+
+  it("should not dispatch anything when stopped in the same tick", async () => {
+    const poller = create();
+
+    const outcome = poller.start();
+    poller.stop();
+    await flushPromises();
+
+    expect(dispatch).not.toHaveBeenCalled();
+    await expect(outcome).resolves.toEqual(
+      expect.objectContaining({ status: "stopped" })
+    );
+  });
+
+  it("should give up after maxAttempts", async () => {
+    const poller = create({ maxAttempts: 2 });
+
+    const outcome = poller.start();
+    await flushPromises();
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    await expect(outcome).resolves.toEqual(
+      expect.objectContaining({
+        status: "max_attempts_reached",
+        attemptCount: 2,
+      })
+    );
+  });
+
+  it("should restart a running job with a fresh deadline", async () => {
+    const request = new Promise(() => {});
+    request.abort = jest.fn();
+    dispatch.mockReturnValueOnce(request);
+    const poller = create({ maxAttempts: null, timeout: 1000 });
+
+    poller.start();
+    await flushPromises();
+    jest.advanceTimersByTime(900);
+    poller.start();
+    await flushPromises();
+    expect(request.abort).toHaveBeenCalledTimes(1);
+    expect(poller.getState().attemptCount).toBe(1);
+
+    jest.advanceTimersByTime(200);
+    expect(poller.getState().isPollingJobActive).toBe(true);
+
+    jest.advanceTimersByTime(800);
+    expect(poller.getState().validationStatus).toBe("timed_out");
+  });
+
+  describe("throwing callbacks", () => {
+    beforeEach(() => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it("should count an attempt whose validator throws once, as an error", async () => {
+      const error = new Error("Bad payload");
+      validator.mockImplementation(() => {
+        throw error;
+      });
+      const poller = create({ historySize: 5 });
+
+      const outcome = poller.start();
+      await flushPromises();
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      await expect(outcome).resolves.toEqual(
+        expect.objectContaining({
+          status: "max_attempts_reached",
+          attemptCount: 3,
+        })
+      );
+      const state = poller.getState();
+      expect(state.lastError).toBe(error);
+      expect(state.consecutiveErrors).toBe(3);
+      expect(state.history.map((entry) => entry.attempt)).toEqual([1, 2, 3]);
+    });
+
+    it("should stop on error when retryOnError throws", async () => {
+      dispatch.mockRejectedValue(new Error("Network down"));
+      const poller = create({
+        retryOnError: () => {
+          throw new Error("Broken policy");
+        },
+      });
+
+      const outcome = poller.start();
+      await flushPromises();
+
+      await expect(outcome).resolves.toEqual(
+        expect.objectContaining({ status: "error", attemptCount: 1 })
+      );
+    });
+
+    it("should fall back to the interval when a custom backoff throws", async () => {
+      const poller = create({
+        backoff: () => {
+          throw new Error("Broken backoff");
+        },
+      });
+
+      poller.start();
+      await flushPromises();
+      expect(poller.getState().attemptCount).toBe(1);
+
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      expect(poller.getState().attemptCount).toBe(2);
+    });
+  });
+
+  it("should keep a job restarted from onSettled apart from the old one", async () => {
+    let restarted;
+    const poller = create({
+      onSettled: ({ status }) => {
+        if (status === "stopped") restarted = poller.start();
+      },
+    });
+
+    const first = poller.start();
+    await flushPromises();
+    poller.stop();
+
+    await expect(first).resolves.toEqual(
+      expect.objectContaining({ status: "stopped" })
+    );
+    expect(poller.getState().isPollingJobActive).toBe(true);
+
+    let settled = false;
+    restarted.then(() => {
+      settled = true;
+    });
+    await flushPromises();
+    expect(settled).toBe(false);
+
+    validator.mockReturnValue(true);
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    await expect(restarted).resolves.toEqual(
+      expect.objectContaining({ status: "success" })
+    );
+  });
+
+  it("should hold the next attempt while paused", async () => {
+    const poller = create();
+
+    poller.start();
+    await flushPromises();
+    poller.pause();
+    jest.advanceTimersByTime(5000);
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(poller.getState().isPaused).toBe(true);
+
+    poller.resume();
+    jest.advanceTimersByTime(1000);
+    expect(dispatch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should pick up new options on the next attempt", async () => {
+    const poller = create();
+    const nextValidator = jest.fn().mockReturnValue(true);
+
+    poller.start();
+    await flushPromises();
+    poller.setOptions({
+      dispatch,
+      thunk,
+      validator: nextValidator,
+      maxAttempts: 3,
+      interval: 1000,
+    });
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(nextValidator).toHaveBeenCalledTimes(1);
+    expect(poller.getState().validationStatus).toBe("success");
+  });
+
+  it("should stop a running job when disconnected", async () => {
+    const poller = create();
+    const disconnect = poller.connect();
+
+    const outcome = poller.start();
+    await flushPromises();
+    disconnect();
+
+    await expect(outcome).resolves.toEqual(
+      expect.objectContaining({ status: "stopped", attemptCount: 1 })
+    );
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it("should only watch connectivity while connected", () => {
+    const onLineSpy = jest
+      .spyOn(window.navigator, "onLine", "get")
+      .mockReturnValue(false);
+    const poller = create();
+
+    expect(poller.getState().isOffline).toBe(false);
+
+    const disconnect = poller.connect();
+    expect(poller.getState().isOffline).toBe(true);
+
+    disconnect();
+    expect(poller.getState().isOffline).toBe(false);
+    onLineSpy.mockRestore();
+  });
+
+  it("should carry on an adopted job from its attempt count", async () => {
+    const poller = create();
+
+    const outcome = poller.adopt({
+      attemptCount: 2,
+      lastResult: { payload: { data: "old" } },
+      consecutiveErrors: 0,
+      history: [],
+    });
+    expect(outcome).toBeUndefined();
+    expect(poller.getState().isPollingJobActive).toBe(true);
+
+    await flushPromises();
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(poller.getState()).toEqual(
+      expect.objectContaining({
+        attemptCount: 3,
+        isPollingJobActive: false,
+        validationStatus: "max_attempts_reached",
+      })
+    );
+  });
+
+  it("should carry on an adopted job with the budget it had left", async () => {
+    const poller = create({ maxAttempts: 2, timeout: 10000 });
+
+    poller.adopt(
+      {
+        attemptCount: 4,
+        lastResult: { payload: { data: "old" } },
+        consecutiveErrors: 0,
+        history: [],
+      },
+      { startedAt: Date.now(), maxAttempts: 8, timeRemaining: 1500 }
+    );
+    await flushPromises();
+    expect(poller.getState()).toEqual(
+      expect.objectContaining({ attemptCount: 5, isPollingJobActive: true })
+    );
+    expect(poller.getProgress()).toEqual(
+      expect.objectContaining({ maxAttempts: 8, timeRemaining: 1500 })
+    );
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    jest.advanceTimersByTime(500);
+    expect(poller.getState().validationStatus).toBe("timed_out");
+  });
+
+  it("should not report a released job as settled", async () => {
+    const onSettled = jest.fn();
+    const poller = create({ onSettled });
+
+    poller.start().catch(() => {});
+    await flushPromises();
+    poller.release();
+
+    expect(poller.getState().isPollingJobActive).toBe(false);
+    expect(onSettled).not.toHaveBeenCalled();
+  });
+
+  describe("attempt context", () => {
+    it("should build each attempt's thunk from the attempt context", async () => {
+      const builtThunk = jest.fn();
+      const factory = jest.fn(() => builtThunk);
+      const startedAt = Date.now();
+      const poller = create({ thunk: withAttemptContext(factory) });
+
+      poller.start();
+      await flushPromises();
+      expect(factory).toHaveBeenCalledWith({
+        attempt: 1,
+        lastResult: null,
+        lastSuccessAt: null,
+        signal: expect.any(AbortSignal),
+      });
+      expect(dispatch).toHaveBeenCalledWith(builtThunk);
+
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      expect(factory).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          attempt: 2,
+          lastResult: { payload: { data: "test" } },
+          lastSuccessAt: startedAt,
+        })
+      );
+    });
+
+    it("should not move lastSuccessAt on a failed attempt", async () => {
+      const factory = jest.fn(() => jest.fn());
+      dispatch
+        .mockResolvedValueOnce({ payload: { data: "test" } })
+        .mockRejectedValueOnce(new Error("Network down"));
+      const startedAt = Date.now();
+      const poller = create({ thunk: withAttemptContext(factory) });
+
+      poller.start();
+      await flushPromises();
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      expect(factory).toHaveBeenLastCalledWith(
+        expect.objectContaining({ attempt: 3, lastSuccessAt: startedAt })
+      );
+    });
+
+    it("should abort the attempt's signal when the job stops", async () => {
+      let signal;
+      dispatch.mockReturnValue(new Promise(() => {}));
+      const poller = create({
+        thunk: withAttemptContext((context) => {
+          signal = context.signal;
+          return jest.fn();
+        }),
+      });
+
+      poller.start();
+      await flushPromises();
+      expect(signal.aborted).toBe(false);
+      poller.stop();
+
+      expect(signal.aborted).toBe(true);
+    });
+  });
+
+  describe("persistKey", () => {
+    const saved = () => JSON.parse(sessionStorage.getItem("thunk-poll:job"));
+
+    afterEach(() => {
+      sessionStorage.clear();
+    });
+
+    it("should save progress after each attempt and clear it when the job ends", async () => {
+      validator.mockReturnValueOnce(false).mockReturnValueOnce(true);
+      const poller = create({ persistKey: "job", timeout: 10000 });
+
+      poller.start();
+      await flushPromises();
+      expect(saved()).toEqual(
+        expect.objectContaining({
+          attemptCount: 1,
+          maxAttempts: 3,
+          timeRemaining: 10000,
+        })
+      );
+
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      expect(poller.getState().validationStatus).toBe("success");
+      expect(saved()).toBeNull();
+    });
+
+    it("should resume a saved job on connect with what is left of its budget", async () => {
+      const before = create({ persistKey: "job", timeout: 10000 });
+      const disconnect = before.connect();
+      before.start();
+      await flushPromises();
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      disconnect();
+      expect(saved().attemptCount).toBe(2);
+
+      jest.advanceTimersByTime(2000);
+      const after = create({ persistKey: "job", timeout: 10000 });
+      after.connect();
+      expect(after.getState()).toEqual(
+        expect.objectContaining({ isPollingJobActive: true, attemptCount: 2 })
+      );
+      expect(saved().timeRemaining).toBe(7000);
+
+      await flushPromises();
+      expect(after.getState()).toEqual(
+        expect.objectContaining({
+          attemptCount: 3,
+          validationStatus: "max_attempts_reached",
+        })
+      );
+    });
+
+    it("should drop a saved job whose time ran out", async () => {
+      const before = create({ persistKey: "job", timeout: 1500 });
+      const disconnect = before.connect();
+      before.start();
+      await flushPromises();
+      disconnect();
+
+      jest.advanceTimersByTime(2000);
+      const after = create({ persistKey: "job", timeout: 1500 });
+      after.connect();
+
+      expect(after.getState().isPollingJobActive).toBe(false);
+      expect(saved()).toBeNull();
+    });
+  });
+
+  describe("fixed-rate schedule", () => {
+    let startTimes;
+
+    // Every request takes `latency` ms; records when each attempt started
+    const useLatency = (latency) => {
+      startTimes = [];
+      const origin = Date.now();
+      dispatch.mockImplementation(() => {
+        startTimes.push(Date.now() - origin);
+        return new Promise((resolve) => {
+          setTimeout(() => resolve({ payload: { data: "test" } }), latency);
+        });
+      });
+    };
+
+    const advance = async (ms) => {
+      for (let elapsed = 0; elapsed < ms; elapsed += 100) {
+        jest.advanceTimersByTime(100);
+        await flushPromises();
+      }
+    };
+
+    it("should wait for the request before the interval with fixed-delay", async () => {
+      useLatency(400);
+      const poller = create({ schedule: "fixed-delay" });
+
+      poller.start();
+      await flushPromises();
+      await advance(2800);
+
+      expect(startTimes).toEqual([0, 1400, 2800]);
+    });
+
+    it("should start attempts on a steady cadence with fixed-rate", async () => {
+      useLatency(400);
+      const poller = create({ schedule: "fixed-rate" });
+
+      poller.start();
+      await flushPromises();
+      await advance(2000);
+
+      expect(startTimes).toEqual([0, 1000, 2000]);
+    });
+
+    it("should skip ticks while a request is in flight by default", async () => {
+      useLatency(1500);
+      const poller = create({ schedule: "fixed-rate" });
+
+      poller.start();
+      await flushPromises();
+      await advance(2000);
+
+      expect(startTimes).toEqual([0, 2000]);
+    });
+
+    it("should run a queued tick as soon as the request settles", async () => {
+      useLatency(1500);
+      const poller = create({ schedule: "fixed-rate", overlap: "queue" });
+
+      poller.start();
+      await flushPromises();
+      await advance(1500);
+
+      expect(startTimes).toEqual([0, 1500]);
+    });
+
+    it("should overlap requests when allowed", async () => {
+      useLatency(1500);
+      const poller = create({ schedule: "fixed-rate", overlap: "allow" });
+
+      poller.start();
+      await flushPromises();
+      await advance(1000);
+
+      expect(startTimes).toEqual([0, 1000]);
+      expect(poller.getState().isPolling).toBe(true);
+
+      await advance(1500);
+      expect(poller.getState().attemptCount).toBe(2);
+    });
+
+    it("should end after maxAttempts and stop ticking", async () => {
+      useLatency(400);
+      const poller = create({ schedule: "fixed-rate" });
+
+      const outcome = poller.start();
+      await flushPromises();
+      await advance(3000);
+
+      await expect(outcome).resolves.toEqual(
+        expect.objectContaining({
+          status: "max_attempts_reached",
+          attemptCount: 3,
+        })
+      );
+      expect(startTimes).toEqual([0, 1000, 2000]);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it("should keep ticking when extended while the last request is in flight", async () => {
+      useLatency(400);
+      const poller = create({ schedule: "fixed-rate", maxAttempts: 2 });
+
+      poller.start();
+      await flushPromises();
+      await advance(1100);
+      // Both attempts are started, so no tick is pending any more
+      poller.extend(3);
+      await advance(400);
+      expect(poller.getState().attemptCount).toBe(2);
+
+      await advance(1600);
+      expect(startTimes).toEqual([0, 1000, 2400]);
+      expect(poller.getState().isPollingJobActive).toBe(true);
+    });
+
+    it("should abort every overlapping request when stopped", async () => {
+      const requests = [];
+      dispatch.mockImplementation(() => {
+        const request = new Promise(() => {});
+        request.abort = jest.fn();
+        requests.push(request);
+        return request;
+      });
+      const poller = create({ schedule: "fixed-rate", overlap: "allow" });
+
+      poller.start();
+      await flushPromises();
+      jest.advanceTimersByTime(1000);
+      poller.stop();
+
+      expect(requests).toHaveLength(2);
+      requests.forEach((request) =>
+        expect(request.abort).toHaveBeenCalledTimes(1)
+      );
+    });
+  });
+
+  it("should throw a clear error when dispatch or thunk is missing", () => {
+    expect(() => create({ dispatch: undefined })).toThrow(
+      "createPoller: dispatch must be a function, received undefined"
+    );
+    expect(() => create({ thunk: null })).toThrow(
+      "createPoller: thunk must be a function, received object"
+    );
+    expect(() => create({ interval: -1 })).toThrow(
+      "createPoller: interval must be a non-negative number, received -1"
+    );
+  });
+});
@@ -0,0 +1,414 @@
+import createPoller, { getJobOutcome, settleWaiters } from "./createPoller";
+import { initialState } from "./pollingReducer";
+import { createTabChannel } from "./tabChannel";
+import { pollStateSynced, toPollSnapshot } from "../store/pollingSlice";
+
+// How often the leader announces itself, and how long followers wait for an
+// announcement before they take over
+export const HEARTBEAT_MS = 1000;
+export const LEADER_TIMEOUT_MS = 3000;
+// How long a new tab listens for an existing leader before claiming the job
+export const PROBE_MS = 200;
+// Followers take over a resigned leader after a random delay up to this, so
+// they do not all start polling at once
+export const TAKEOVER_JITTER_MS = 100;
+
+const Roles = {
+  PENDING: "pending",
+  LEADER: "leader",
+  FOLLOWER: "follower",
+};
+
+const MessageTypes = {
+  PROBE: "probe",
+  HEARTBEAT: "heartbeat",
+  RESIGN: "resign",
+  SYNCED: "synced",
+  RESULT: "result",
+  COMMAND: "command",
+};
+
+// Poller methods a follower forwards to the leader
+const COMMANDS = [
+  "start",
+  "extend",
+  "stop",
+  "reset",
+  "pause",
+  "resume",
+  "pollNow",
+];
+
+// Ids start with the creation time, so the oldest tab wins a tie
+const createTabId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Only plain actions (fulfilled or rejected thunk actions) are worth
+// replaying in the other tabs' stores
+const isAction = (value) => typeof value?.type === "string";
+
+/**
+ * A poller that shares one poll loop between every tab with the same `key`:
+ *
+ *   const poller = createCrossTabPoller({ dispatch, thunk, validator, key: "posts" });
+ *
+ * Same interface as createPoller. The tabs elect a leader over a
+ * BroadcastChannel (localStorage events where that is missing). Only the
+ * leader runs the job; it broadcasts every thunk result and state change, and
+ * the followers dispatch them into their own store and mirror the state.
+ * Followers forward start, stop, pause and the rest to the leader, and take
+ * over the running job when the leader closes or stops sending heartbeats,
+ * or when it is hidden (with pauseWhenHidden) and they are not.
+ */
+const createCrossTabPoller = (initialOptions) => {
+  const tabId = createTabId();
+  let options = initialOptions;
+  let role = Roles.PENDING;
+  let leaderId = null;
+  let channel = null;
+  let unsubscribeChannel = null;
+  let heartbeatId = null;
+  // Runs the takeover once the leader has gone quiet
+  let watchdogId = null;
+  // The leader's state, as seen by a follower
+  let mirroredState = initialState;
+  // What the leader's job has left of maxAttempts and the timeout, so a
+  // takeover carries on with that budget instead of a fresh one
+  let leaderBudget = null;
+  // What subscribers last saw, to tell when a job has ended
+  let exposedState = initialState;
+  // Commands issued before the election settled
+  let queuedCommands = [];
+  // Callers awaiting a job this tab does not run itself
+  let waiters = [];
+  const listeners = new Set();
+
+  const post = (message) => {
+    if (channel) channel.post(message);
+  };
+
+  // The local poller dispatches through here: while this tab leads, its
+  // slice updates are broadcast, and while it follows they are dropped so the
+  // slice keeps mirroring the leader
+  const dispatch = (action) => {
+    if (pollStateSynced.match(action)) {
+      if (role !== Roles.LEADER) return action;
+      post({ type: MessageTypes.SYNCED, action, budget: getBudget() });
+    }
+    return options.dispatch(action);
+  };
+
+  const shareResult = (result) => {
+    if (role === Roles.LEADER && isAction(result)) {
+      post({ type: MessageTypes.RESULT, result });
+    }
+  };
+
+  const toLocalOptions = (pollerOptions) => ({
+    ...pollerOptions,
+    dispatch,
+    onResult: (result, attempt) => {
+      shareResult(result);
+      pollerOptions.onResult?.(result, attempt);
+    },
+    onError: (error, attempt, result) => {
+      shareResult(result);
+      pollerOptions.onError?.(error, attempt, result);
+    },
+  });
+
+  const local = createPoller(toLocalOptions(initialOptions));
+
+  const getBudget = () => ({ ...local.getProgress(), sentAt: Date.now() });
+
+  // The leader's budget as of now: a running timeout has kept counting down
+  // since it was sent, a suspended one has not
+  const getAdoptedBudget = () => {
+    if (!leaderBudget) return undefined;
+    const { sentAt, timeRemaining, ...budget } = leaderBudget;
+    const { isPaused, isHidden, isOffline } = mirroredState;
+    const elapsed = isPaused || isHidden || isOffline ? 0 : Date.now() - sentAt;
+    return {
+      ...budget,
+      timeRemaining:
+        timeRemaining == null ? null : Math.max(0, timeRemaining - elapsed),
+    };
+  };
+
+  const getState = () =>
+    role === Roles.LEADER ? local.getState() : mirroredState;
+
+  const publish = () => {
+    const next = getState();
+    if (next === exposedState) return;
+    const previous = exposedState;
+    exposedState = next;
+    if (previous.isPollingJobActive && !next.isPollingJobActive) {
+      const settled = waiters;
+      waiters = [];
+      settleWaiters(settled, getJobOutcome(next), options.rejectOnFailure);
+    }
+    listeners.forEach((listener) => listener());
+  };
+
+  local.subscribe(publish);
+
+  const mirror = (snapshot) => {
+    const { lastErrorMessage, ...rest } = snapshot;
+    mirroredState = {
+      ...mirroredState,
+      ...rest,
+      // A fresh job has no result yet
+      lastResult: rest.attemptCount === 0 ? null : mirroredState.lastResult,
+      lastError: lastErrorMessage ? { message: lastErrorMessage } : null,
+    };
+    publish();
+  };
+
+  const applyResult = (result) => {
+    if (!isAction(result)) return;
+    options.dispatch(result);
+    mirroredState = { ...mirroredState, lastResult: result };
+    publish();
+  };
+
+  const runCommand = (name, args) => {
+    const result = local[name](...args);
+    // Callers are settled through publish instead, so a leader that steps
+    // down mid-job does not report it as stopped
+    if (result) result.catch(() => {});
+  };
+
+  // A start issued before the election settled (typically the enabled
+  // option on mount) joins a job the leader is already running instead of
+  // restarting it
+  const flushCommands = () => {
+    const queued = queuedCommands;
+    queuedCommands = [];
+    queued.forEach(({ name, args }) => {
+      if (role === Roles.LEADER) {
+        runCommand(name, args);
+      } else if (name !== "start" || !mirroredState.isPollingJobActive) {
+        post({ type: MessageTypes.COMMAND, name, args });
+      }
+    });
+  };
+
+  // Results travel as RESULT messages, so the last one only goes along when
+  // a new tab asks for it
+  const sendHeartbeat = ({ withResult = false } = {}) => {
+    const state = local.getState();
+    post({
+      type: MessageTypes.HEARTBEAT,
+      id: tabId,
+      snapshot: toPollSnapshot(state),
+      budget: getBudget(),
+      result:
+        withResult && isAction(state.lastResult) ? state.lastResult : null,
+    });
+  };
+
+  // A leader that goes hidden says so straight away, so a visible tab can
+  // take the job over
+  let wasHidden = false;
+  local.subscribe(() => {
+    const { isHidden } = local.getState();
+    if (role === Roles.LEADER && isHidden && !wasHidden) sendHeartbeat();
+    wasHidden = isHidden;
+  });
+
+  const becomeLeader = () => {
+    clearTimeout(watchdogId);
+    watchdogId = null;
+    role = Roles.LEADER;
+    leaderId = tabId;
+    heartbeatId = setInterval(sendHeartbeat, HEARTBEAT_MS);
+    sendHeartbeat();
+    // Carry on with the job the previous leader left running
+    if (mirroredState.isPollingJobActive) {
+      local.adopt(mirroredState, getAdoptedBudget());
+      if (mirroredState.isPaused) local.pause();
+    }
+    leaderBudget = null;
+    flushCommands();
+    publish();
+  };
+
+  const resetWatchdog = (delay) => {
+    clearTimeout(watchdogId);
+    watchdogId = setTimeout(becomeLeader, delay);
+  };
+
+  const follow = ({ id, snapshot, budget, result }) => {
+    const wasLeader = role === Roles.LEADER;
+    role = Roles.FOLLOWER;
+    leaderId = id;
+    clearInterval(heartbeatId);
+    heartbeatId = null;
+    leaderBudget = budget;
+    mirror(snapshot);
+    applyResult(result);
+    // Two tabs claimed the job at once and the other one won. The job goes
+    // on over there, so it is not reported as stopped.
+    if (wasLeader) local.release();
+    resetWatchdog(LEADER_TIMEOUT_MS);
+    flushCommands();
+  };
+
+  // Visible tabs outrank hidden ones, which pauseWhenHidden keeps from
+  // polling; after that the older tab wins
+  const outranks = ({ id, snapshot }) => {
+    const { isHidden } = local.getState();
+    if (snapshot.isHidden !== isHidden) return isHidden;
+    return id < tabId;
+  };
+
+  const handleHeartbeat = (message) => {
+    if (role === Roles.LEADER) {
+      // Two tabs lead at once; the other one steps down when it hears us
+      if (outranks(message)) follow(message);
+    } else if (message.id !== leaderId) {
+      follow(message);
+    } else {
+      leaderBudget = message.budget;
+      mirror(message.snapshot);
+      if (message.snapshot.isHidden && !local.getState().isHidden) {
+        resetWatchdog(Math.random() * TAKEOVER_JITTER_MS);
+      } else {
+        resetWatchdog(LEADER_TIMEOUT_MS);
+      }
+    }
+  };
+
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case MessageTypes.PROBE:
+        if (role === Roles.LEADER) sendHeartbeat({ withResult: true });
+        break;
+      case MessageTypes.HEARTBEAT:
+        handleHeartbeat(message);
+        break;
+      case MessageTypes.RESIGN:
+        if (role === Roles.FOLLOWER && message.id === leaderId) {
+          resetWatchdog(Math.random() * TAKEOVER_JITTER_MS);
+        }
+        break;
+      case MessageTypes.SYNCED:
+        if (role !== Roles.LEADER) {
+          leaderBudget = message.budget;
+          options.dispatch(message.action);
+          mirror(message.action.payload.snapshot);
+        }
+        break;
+      case MessageTypes.RESULT:
+        if (role !== Roles.LEADER) applyResult(message.result);
+        break;
+      case MessageTypes.COMMAND:
+        if (role === Roles.LEADER && COMMANDS.includes(message.name)) {
+          try {
+            runCommand(message.name, message.args);
+          } catch (error) {
+            console.error(
+              `useThunkPoll: ${message.name} from another tab threw`,
+              error
+            );
+          }
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Runs a poller method here when leading, otherwise on the leader. start
+  // and extend resolve once the leader's job ends, whichever tab leads then.
+  const command = (name, ...args) => {
+    const outcome =
+      name === "start" || name === "extend"
+        ? new Promise((resolve, reject) => {
+            waiters.push({ resolve, reject });
+          })
+        : undefined;
+    if (role === Roles.LEADER) {
+      runCommand(name, args);
+    } else if (role === Roles.FOLLOWER) {
+      post({ type: MessageTypes.COMMAND, name, args });
+    } else {
+      queuedCommands.push({ name, args });
+    }
+    return outcome;
+  };
+
+  const resign = () => {
+    if (role === Roles.LEADER) post({ type: MessageTypes.RESIGN, id: tabId });
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  const setOptions = (nextOptions) => {
+    options = nextOptions;
+    local.setOptions(toLocalOptions(nextOptions));
+  };
+
+  // Joins the election. Disconnecting hands the job over to another tab
+  // (it is stopped here, not there) and leaves the election.
+  const connect = () => {
+    const disconnectLocal = local.connect();
+    channel = createTabChannel(`thunk-poll:${options.key}`);
+    unsubscribeChannel = channel.subscribe(handleMessage);
+    if (typeof window !== "undefined") {
+      window.addEventListener("pagehide", resign);
+    }
+    post({ type: MessageTypes.PROBE });
+    resetWatchdog(PROBE_MS);
+
+    return () => {
+      if (!channel) return;
+      resign();
+      if (typeof window !== "undefined") {
+        window.removeEventListener("pagehide", resign);
+      }
+      clearTimeout(watchdogId);
+      clearInterval(heartbeatId);
+      watchdogId = null;
+      heartbeatId = null;
+      unsubscribeChannel();
+      channel.close();
+      channel = null;
+      role = Roles.PENDING;
+      leaderId = null;
+      queuedCommands = [];
+      disconnectLocal();
+
+      const settled = waiters;
+      waiters = [];
+      settleWaiters(
+        settled,
+        getJobOutcome({ ...exposedState, validationStatus: null }),
+        options.rejectOnFailure
+      );
+    };
+  };
+
+  return {
+    getState,
+    subscribe,
+    setOptions,
+    start: () => command("start"),
+    extend: (extraAttempts) => command("extend", extraAttempts),
+    adopt: local.adopt,
+    stop: () => command("stop"),
+    reset: () => command("reset"),
+    pause: () => command("pause"),
+    resume: () => command("resume"),
+    pollNow: () => command("pollNow"),
+    connect,
+  };
+};
+
+export default createCrossTabPoller;
@@ -0,0 +1,318 @@
+import createCrossTabPoller, {
+  HEARTBEAT_MS,
+  LEADER_TIMEOUT_MS,
+  PROBE_MS,
+  TAKEOVER_JITTER_MS,
+} from "./crossTabPoller";
+
+// An in-memory stand-in for BroadcastChannel: messages are delivered
+// asynchronously, as plain data, to every other channel with the same name
+jest.mock("./tabChannel", () => {
+  const endpoints = [];
+  const posted = [];
+  return {
+    createTabChannel: (name) => {
+      const handlers = new Set();
+      const endpoint = { name, handlers, muted: false, open: true };
+      endpoints.push(endpoint);
+      return {
+        post: (message) => {
+          if (endpoint.muted) return;
+          const data = JSON.parse(JSON.stringify(message));
+          posted.push(data);
+          endpoints
+            .filter((peer) => peer !== endpoint && peer.open)
+            .filter((peer) => peer.name === name)
+            .forEach((peer) => {
+              Promise.resolve().then(() =>
+                peer.handlers.forEach((handler) => handler(data))
+              );
+            });
+        },
+        subscribe: (handler) => {
+          handlers.add(handler);
+          return () => handlers.delete(handler);
+        },
+        close: () => {
+          endpoint.open = false;
+        },
+      };
+    },
+    // Silences every tab opened so far, as if the leader had crashed
+    // without saying goodbye
+    muteChannels: () => {
+      endpoints.forEach((endpoint) => {
+        endpoint.muted = true;
+      });
+    },
+    // Every message posted so far, for checking what goes over the wire
+    getPostedMessages: () => posted,
+  };
+});
+
+jest.useFakeTimers();
+
+const flushPromises = async () => {
+  for (let i = 0; i < 6; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+const advance = async (ms) => {
+  jest.advanceTimersByTime(ms);
+  await flushPromises();
+};
+
+describe("createCrossTabPoller", () => {
+  let thunk;
+  let validator;
+  let tabs;
+
+  const openTab = (options = {}) => {
+    const dispatch = jest.fn((action) =>
+      typeof action === "function"
+        ? Promise.resolve({ type: "posts/fetch/fulfilled", payload: [1, 2] })
+        : action
+    );
+    const poller = createCrossTabPoller({
+      dispatch,
+      thunk,
+      validator,
+      key: "posts",
+      maxAttempts: 5,
+      interval: 5000,
+      ...options,
+    });
+    const tab = { dispatch, poller, disconnect: poller.connect() };
+    tabs.push(tab);
+    return tab;
+  };
+
+  const thunkCalls = (tab) =>
+    tab.dispatch.mock.calls.filter(([action]) => action === thunk).length;
+
+  // Opens a tab and lets it win the election on its own
+  const openLeader = async () => {
+    const tab = openTab();
+    await advance(PROBE_MS);
+    return tab;
+  };
+
+  // Opens a tab and lets it find the leader
+  const openFollower = async () => {
+    const tab = openTab();
+    await flushPromises();
+    return tab;
+  };
+
+  beforeEach(() => {
+    jest.clearAllTimers();
+    thunk = jest.fn();
+    validator = jest.fn().mockReturnValue(false);
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach((tab) => tab.disconnect());
+  });
+
+  it("should lead and poll by itself when no other tab answers", async () => {
+    const tab = openTab();
+    tab.poller.start();
+    await flushPromises();
+    expect(thunkCalls(tab)).toBe(0);
+
+    await advance(PROBE_MS);
+    expect(thunkCalls(tab)).toBe(1);
+    expect(tab.poller.getState().attemptCount).toBe(1);
+  });
+
+  it("should follow the leader and replay its results instead of polling", async () => {
+    const leader = await openLeader();
+    leader.poller.start();
+    await flushPromises();
+
+    const follower = await openFollower();
+    expect(follower.poller.getState()).toEqual(
+      expect.objectContaining({ isPollingJobActive: true, attemptCount: 1 })
+    );
+
+    await advance(5000);
+    expect(thunkCalls(leader)).toBe(2);
+    expect(thunkCalls(follower)).toBe(0);
+    expect(follower.dispatch).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "posts/fetch/fulfilled",
+        payload: [1, 2],
+      })
+    );
+    expect(follower.poller.getState()).toEqual(
+      expect.objectContaining({
+        attemptCount: 2,
+        lastResult: expect.objectContaining({ payload: [1, 2] }),
+      })
+    );
+  });
+
+  it("should mirror the leader's poll into the follower's polling slice", async () => {
+    const leader = await openLeader();
+    const follower = await openFollower();
+
+    leader.poller.start();
+    await flushPromises();
+
+    expect(follower.dispatch).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "polling/pollStateSynced",
+        payload: expect.objectContaining({ key: "posts" }),
+      })
+    );
+  });
+
+  it("should join a running job on start instead of restarting it", async () => {
+    const leader = await openLeader();
+    leader.poller.start();
+    await flushPromises();
+
+    const follower = openTab();
+    follower.poller.start();
+    await advance(PROBE_MS);
+
+    expect(leader.poller.getState().attemptCount).toBe(1);
+  });
+
+  it("should forward commands to the leader and settle with its outcome", async () => {
+    const leader = await openLeader();
+    const follower = await openFollower();
+
+    const outcome = follower.poller.start();
+    await flushPromises();
+    expect(thunkCalls(leader)).toBe(1);
+    expect(thunkCalls(follower)).toBe(0);
+
+    follower.poller.stop();
+    await flushPromises();
+    expect(leader.poller.getState().isPollingJobActive).toBe(false);
+    await expect(outcome).resolves.toEqual(
+      expect.objectContaining({ status: "stopped", attemptCount: 1 })
+    );
+  });
+
+  it("should take over the running job when the leader closes", async () => {
+    const leader = await openLeader();
+    const follower = await openFollower();
+    leader.poller.start();
+    await flushPromises();
+
+    leader.disconnect();
+    await flushPromises();
+    await advance(TAKEOVER_JITTER_MS);
+
+    expect(thunkCalls(follower)).toBe(1);
+    expect(follower.poller.getState()).toEqual(
+      expect.objectContaining({ isPollingJobActive: true, attemptCount: 2 })
+    );
+  });
+
+  it("should take over when the leader stops sending heartbeats", async () => {
+    const leader = await openLeader();
+    const follower = await openFollower();
+    leader.poller.start();
+    await flushPromises();
+
+    jest.requireMock("./tabChannel").muteChannels();
+    await advance(LEADER_TIMEOUT_MS);
+
+    expect(thunkCalls(follower)).toBe(1);
+    expect(follower.poller.getState().attemptCount).toBe(2);
+  });
+
+  it("should hand the job to a visible tab when the leader is hidden", async () => {
+    const leader = openTab({ pauseWhenHidden: true });
+    await advance(PROBE_MS);
+    const follower = await openFollower();
+    leader.poller.start();
+    await flushPromises();
+
+    Object.defineProperty(document, "visibilityState", {
+      configurable: true,
+      value: "hidden",
+    });
+    document.dispatchEvent(new Event("visibilitychange"));
+    await flushPromises();
+    await advance(TAKEOVER_JITTER_MS);
+    delete document.visibilityState;
+
+    expect(thunkCalls(follower)).toBe(1);
+    expect(leader.poller.getState()).toEqual(
+      expect.objectContaining({ isPollingJobActive: true, attemptCount: 2 })
+    );
+  });
+
+  it("should hand over what is left of maxAttempts and the timeout", async () => {
+    const leader = openTab({ maxAttempts: 2, timeout: 12000 });
+    await advance(PROBE_MS);
+    const follower = await openFollower();
+    leader.poller.start();
+    await flushPromises();
+    leader.poller.extend(3);
+    await advance(5000);
+
+    leader.disconnect();
+    await flushPromises();
+    await advance(TAKEOVER_JITTER_MS);
+    expect(thunkCalls(follower)).toBe(1);
+    expect(follower.poller.getState()).toEqual(
+      expect.objectContaining({ isPollingJobActive: true, attemptCount: 3 })
+    );
+
+    // 12s budget, 5.1s of it used by the old leader
+    await advance(6800);
+    expect(follower.poller.getState().isPollingJobActive).toBe(true);
+    await advance(200);
+    expect(follower.poller.getState().validationStatus).toBe("timed_out");
+  });
+
+  it("should only send the last result to tabs that ask for it", async () => {
+    const posted = jest.requireMock("./tabChannel").getPostedMessages();
+    const postedBefore = posted.length;
+    const leader = await openLeader();
+    leader.poller.start();
+    await flushPromises();
+    await openFollower();
+    await advance(HEARTBEAT_MS * 3);
+
+    const heartbeats = posted
+      .slice(postedBefore)
+      .filter((message) => message.type === "heartbeat");
+    expect(heartbeats.filter((message) => message.result)).toHaveLength(1);
+    expect(heartbeats.length).toBeGreaterThan(1);
+  });
+
+  it("should keep a single leader when two tabs claim at once", async () => {
+    const first = openTab();
+    const second = openTab();
+    first.poller.start();
+    second.poller.start();
+    await advance(PROBE_MS);
+    await advance(HEARTBEAT_MS);
+
+    const callsBefore = thunkCalls(first) + thunkCalls(second);
+    await advance(5000);
+    expect(thunkCalls(first) + thunkCalls(second)).toBe(callsBefore + 1);
+  });
+
+  it("should not report the job as stopped in a tab that steps down", async () => {
+    const onSettled = jest.fn();
+    const first = openTab({ onSettled });
+    const second = openTab({ onSettled });
+    first.poller.start();
+    second.poller.start();
+    await advance(PROBE_MS);
+    await advance(HEARTBEAT_MS);
+
+    expect(onSettled).not.toHaveBeenCalled();
+    expect(first.poller.getState().isPollingJobActive).toBe(true);
+    expect(second.poller.getState().isPollingJobActive).toBe(true);
+  });
+});
@@ -0,0 +1,28 @@
+export const HistoryOutcomes = {
+  VALIDATED: "validated",
+  CONTINUED: "continued",
+  FAILED: "failed",
+  ERROR: "error",
+};
+
+const MAX_SUMMARY_LENGTH = 80;
+const MAX_SUMMARY_KEYS = 5;
+
+/**
+ * Short, serializable description of a payload for the attempt history, so
+ * the history never holds on to large responses.
+ */
+export const summarizePayload = (payload) => {
+  if (payload == null || typeof payload !== "object") {
+    if (typeof payload === "string" && payload.length > MAX_SUMMARY_LENGTH) {
+      return `${payload.slice(0, MAX_SUMMARY_LENGTH)}…`;
+    }
+    return payload;
+  }
+  if (Array.isArray(payload)) {
+    return `Array(${payload.length})`;
+  }
+  const keys = Object.keys(payload);
+  const shown = keys.slice(0, MAX_SUMMARY_KEYS).join(", ");
+  return `{ ${shown}${keys.length > MAX_SUMMARY_KEYS ? ", …" : ""} }`;
+};
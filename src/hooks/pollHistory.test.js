@@ -0,0 +1,29 @@
+import { summarizePayload } from "./pollHistory";
+
+describe("summarizePayload", () => {
+  it("should keep primitives as they are", () => {
+    expect(summarizePayload(42)).toBe(42);
+    expect(summarizePayload(true)).toBe(true);
+    expect(summarizePayload(null)).toBe(null);
+    expect(summarizePayload(undefined)).toBe(undefined);
+    expect(summarizePayload("ok")).toBe("ok");
+  });
+
+  it("should trim long strings", () => {
+    const summary = summarizePayload("x".repeat(200));
+
+    expect(summary).toHaveLength(81);
+    expect(summary.endsWith("…")).toBe(true);
+  });
+
+  it("should describe arrays by their length", () => {
+    expect(summarizePayload([1, 2, 3])).toBe("Array(3)");
+  });
+
+  it("should list the first keys of an object", () => {
+    expect(summarizePayload({ id: 1, title: "Post" })).toBe("{ id, title }");
+    expect(summarizePayload({ a: 1, b: 2, c: 3, d: 4, e: 5, f: 6 })).toBe(
+      "{ a, b, c, d, e, … }"
+    );
+  });
+});
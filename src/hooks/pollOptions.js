@@ -0,0 +1,234 @@
+/* global process */
+import {
+  BackoffStrategies,
+  OverlapPolicies,
+  Schedules,
+} from "./pollingBackoff";
+
+const CALLBACK_OPTIONS = [
+  "retryOnError",
+  "onAttempt",
+  "onResult",
+  "onSuccess",
+  "onFailure",
+  "onMaxAttempts",
+  "onError",
+  "onSettled",
+];
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isNonNegativeNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Accepts both call styles of useThunkPoll and returns one options object:
+ *   useThunkPoll(thunkAction, { maxAttempts, interval, validator, ...options })
+ *   useThunkPoll(thunkAction, maxAttempts, interval, validator, options)
+ */
+export const normalizePollArgs = (
+  maxAttemptsOrOptions,
+  interval,
+  validator,
+  options
+) => {
+  if (isPlainObject(maxAttemptsOrOptions)) {
+    return maxAttemptsOrOptions;
+  }
+  return {
+    ...options,
+    maxAttempts: maxAttemptsOrOptions,
+    interval,
+    validator,
+  };
+};
+
+/**
+ * Throws a descriptive error for options that would otherwise fail later in
+ * the poll loop (or silently poll in a tight loop). Skipped in production
+ * builds. `source` prefixes the message with the API that was called.
+ */
+export const validatePollOptions = (
+  thunkAction,
+  options,
+  source = "useThunkPoll"
+) => {
+  if (process.env.NODE_ENV === "production") return;
+
+  const fail = (message) => {
+    throw new Error(`${source}: ${message}`);
+  };
+
+  if (typeof thunkAction !== "function") {
+    fail(`thunkAction must be a function, received ${typeof thunkAction}`);
+  }
+  if (typeof options.validator !== "function") {
+    fail(`validator must be a function, received ${typeof options.validator}`);
+  }
+  if (options.maxAttempts != null && !isPositiveInteger(options.maxAttempts)) {
+    fail(
+      `maxAttempts must be a positive integer, received ${options.maxAttempts}`
+    );
+  }
+  ["interval", "minInterval", "maxInterval", "timeout"].forEach((name) => {
+    if (options[name] != null && !isNonNegativeNumber(options[name])) {
+      fail(`${name} must be a non-negative number, received ${options[name]}`);
+    }
+  });
+  if (
+    options.minInterval != null &&
+    options.maxInterval != null &&
+    options.minInterval > options.maxInterval
+  ) {
+    fail(
+      `minInterval (${options.minInterval}) must not be greater than maxInterval (${options.maxInterval})`
+    );
+  }
+  if (
+    options.backoff != null &&
+    typeof options.backoff !== "function" &&
+    !Object.values(BackoffStrategies).includes(options.backoff)
+  ) {
+    fail(
+      `backoff must be a function or one of ${Object.values(
+        BackoffStrategies
+      ).join(", ")}, received ${options.backoff}`
+    );
+  }
+  [
+    ["schedule", Schedules],
+    ["overlap", OverlapPolicies],
+  ].forEach(([name, values]) => {
+    if (
+      options[name] != null &&
+      !Object.values(values).includes(options[name])
+    ) {
+      fail(
+        `${name} must be one of ${Object.values(values).join(", ")}, received ${
+          options[name]
+        }`
+      );
+    }
+  });
+  if (
+    options.maxConsecutiveErrors != null &&
+    !isPositiveInteger(options.maxConsecutiveErrors)
+  ) {
+    fail(
+      `maxConsecutiveErrors must be a positive integer, received ${options.maxConsecutiveErrors}`
+    );
+  }
+  if (options.historySize != null && !isPositiveInteger(options.historySize)) {
+    fail(
+      `historySize must be a positive integer, received ${options.historySize}`
+    );
+  }
+  if (
+    options.key != null &&
+    typeof options.key !== "string" &&
+    typeof options.key !== "number"
+  ) {
+    fail(`key must be a string or a number, received ${typeof options.key}`);
+  }
+  if (
+    options.persistKey != null &&
+    typeof options.persistKey !== "string" &&
+    typeof options.persistKey !== "number"
+  ) {
+    fail(
+      `persistKey must be a string or a number, received ${typeof options.persistKey}`
+    );
+  }
+  if (options.persistKey != null && options.crossTab) {
+    // Every tab would resume its own copy of the job next to the leader's
+    fail("persistKey cannot be combined with crossTab");
+  }
+  if (options.crossTab != null && typeof options.crossTab !== "boolean") {
+    fail(`crossTab must be a boolean, received ${typeof options.crossTab}`);
+  }
+  if (options.crossTab && options.key == null) {
+    fail("crossTab needs a key to find the same poll in other tabs");
+  }
+  if (options.enabled != null && typeof options.enabled !== "boolean") {
+    fail(`enabled must be a boolean, received ${typeof options.enabled}`);
+  }
+  if (options.deps != null && !Array.isArray(options.deps)) {
+    fail(`deps must be an array, received ${typeof options.deps}`);
+  }
+  CALLBACK_OPTIONS.forEach((name) => {
+    if (options[name] != null && typeof options[name] !== "function") {
+      fail(`${name} must be a function, received ${typeof options[name]}`);
+    }
+  });
+};
+
+/**
+ * createPoller takes the thunk and dispatch as options instead of getting
+ * them from the hook, so those are checked on top of the usual options.
+ */
+export const validatePollerOptions = (options) => {
+  if (process.env.NODE_ENV === "production") return;
+
+  ["dispatch", "thunk"].forEach((name) => {
+    if (typeof options[name] !== "function") {
+      throw new Error(
+        `createPoller: ${name} must be a function, received ${typeof options[
+          name
+        ]}`
+      );
+    }
+  });
+  validatePollOptions(options.thunk, options, "createPoller");
+};
+
+/**
+ * useThunkJob builds the poll thunk itself, so only its submit and poll
+ * action creators are checked here; the rest goes through useThunkPoll.
+ */
+export const validateJobOptions = (options) => {
+  if (process.env.NODE_ENV === "production") return;
+
+  ["submit", "poll"].forEach((name) => {
+    if (typeof options[name] !== "function") {
+      throw new Error(
+        `useThunkJob: ${name} must be a function, received ${typeof options[
+          name
+        ]}`
+      );
+    }
+  });
+  ["enabled", "deps"].forEach((name) => {
+    if (options[name] != null) {
+      throw new Error(
+        `useThunkJob: ${name} is not supported, call run() to start the job`
+      );
+    }
+  });
+};
+
+/**
+ * useThunkPollAll takes a list of thunks and validates each item's payload
+ * itself, so those are checked here; the rest goes through useThunkPoll.
+ */
+export const validatePollAllOptions = (thunkActions, options) => {
+  if (process.env.NODE_ENV === "production") return;
+
+  if (
+    !Array.isArray(thunkActions) ||
+    thunkActions.some((thunk) => typeof thunk !== "function")
+  ) {
+    throw new Error(
+      "useThunkPollAll: thunkActions must be an array of thunk actions"
+    );
+  }
+  if (typeof options.validator !== "function") {
+    throw new Error(
+      `useThunkPollAll: validator must be a function, received ${typeof options.validator}`
+    );
+  }
+};
@@ -0,0 +1,168 @@
+import { normalizePollArgs, validatePollOptions } from "./pollOptions";
+
+describe("normalizePollArgs", () => {
+  const validator = () => true;
+
+  it("should pass an options object through as is", () => {
+    const options = { maxAttempts: 3, interval: 1000, validator };
+
+    expect(normalizePollArgs(options)).toBe(options);
+  });
+
+  it("should fold the positional form into one options object", () => {
+    expect(
+      normalizePollArgs(3, 1000, validator, { backoff: "linear" })
+    ).toEqual({
+      maxAttempts: 3,
+      interval: 1000,
+      validator,
+      backoff: "linear",
+    });
+  });
+
+  it("should let positional arguments win over the extra options", () => {
+    expect(normalizePollArgs(3, 1000, validator, { interval: 5 })).toEqual(
+      expect.objectContaining({ interval: 1000 })
+    );
+  });
+});
+
+describe("validatePollOptions", () => {
+  const thunkAction = () => Promise.resolve();
+  const validOptions = {
+    maxAttempts: 3,
+    interval: 1000,
+    validator: () => true,
+  };
+
+  const validate = (overrides) =>
+    validatePollOptions(thunkAction, { ...validOptions, ...overrides });
+
+  it("should accept valid options", () => {
+    expect(() => validate()).not.toThrow();
+    expect(() =>
+      validate({
+        maxAttempts: undefined,
+        backoff: "exponential",
+        minInterval: 100,
+        maxInterval: 5000,
+        timeout: 0,
+        maxConsecutiveErrors: 2,
+        onSettled: () => {},
+      })
+    ).not.toThrow();
+  });
+
+  it("should reject a thunkAction that is not a function", () => {
+    expect(() => validatePollOptions("fetchPosts", validOptions)).toThrow(
+      "useThunkPoll: thunkAction must be a function, received string"
+    );
+  });
+
+  it("should reject a validator that is not a function", () => {
+    expect(() => validate({ validator: true })).toThrow(
+      "useThunkPoll: validator must be a function, received boolean"
+    );
+  });
+
+  it("should reject a negative interval", () => {
+    expect(() => validate({ interval: -1 })).toThrow(
+      "useThunkPoll: interval must be a non-negative number, received -1"
+    );
+  });
+
+  it("should reject maxAttempts that is not a positive integer", () => {
+    expect(() => validate({ maxAttempts: 0 })).toThrow(
+      "useThunkPoll: maxAttempts must be a positive integer, received 0"
+    );
+    expect(() => validate({ maxAttempts: 2.5 })).toThrow(/maxAttempts/);
+  });
+
+  it("should reject minInterval greater than maxInterval", () => {
+    expect(() => validate({ minInterval: 5000, maxInterval: 1000 })).toThrow(
+      "useThunkPoll: minInterval (5000) must not be greater than maxInterval (1000)"
+    );
+  });
+
+  it("should reject an unknown backoff strategy", () => {
+    expect(() => validate({ backoff: "random" })).toThrow(
+      "useThunkPoll: backoff must be a function or one of fixed, linear, exponential, jitter, received random"
+    );
+  });
+
+  it("should reject an unknown schedule or overlap policy", () => {
+    expect(() => validate({ schedule: "cron" })).toThrow(
+      "useThunkPoll: schedule must be one of fixed-delay, fixed-rate, received cron"
+    );
+    expect(() => validate({ overlap: "drop" })).toThrow(
+      "useThunkPoll: overlap must be one of skip, queue, allow, received drop"
+    );
+    expect(() =>
+      validate({ schedule: "fixed-rate", overlap: "queue" })
+    ).not.toThrow();
+  });
+
+  it("should reject maxConsecutiveErrors that is not a positive integer", () => {
+    expect(() => validate({ maxConsecutiveErrors: -2 })).toThrow(
+      /maxConsecutiveErrors must be a positive integer/
+    );
+  });
+
+  it("should reject callbacks that are not functions", () => {
+    expect(() => validate({ onSuccess: "done" })).toThrow(
+      "useThunkPoll: onSuccess must be a function, received string"
+    );
+  });
+
+  it("should reject a key that is not a string or number", () => {
+    expect(() => validate({ key: { id: 1 } })).toThrow(
+      "useThunkPoll: key must be a string or a number, received object"
+    );
+    expect(() => validate({ key: "posts" })).not.toThrow();
+  });
+
+  it("should require a key for crossTab", () => {
+    expect(() => validate({ crossTab: true })).toThrow(
+      "useThunkPoll: crossTab needs a key to find the same poll in other tabs"
+    );
+    expect(() => validate({ crossTab: "yes", key: "posts" })).toThrow(
+      "useThunkPoll: crossTab must be a boolean, received string"
+    );
+    expect(() => validate({ crossTab: true, key: "posts" })).not.toThrow();
+  });
+
+  it("should reject a persistKey that is not a string or number, or used with crossTab", () => {
+    expect(() => validate({ persistKey: true })).toThrow(
+      "useThunkPoll: persistKey must be a string or a number, received boolean"
+    );
+    expect(() =>
+      validate({ persistKey: "job", crossTab: true, key: "posts" })
+    ).toThrow("useThunkPoll: persistKey cannot be combined with crossTab");
+    expect(() => validate({ persistKey: "job" })).not.toThrow();
+  });
+
+  it("should reject enabled that is not a boolean and deps that are not an array", () => {
+    expect(() => validate({ enabled: "yes" })).toThrow(
+      "useThunkPoll: enabled must be a boolean, received string"
+    );
+    expect(() => validate({ deps: 1 })).toThrow(
+      "useThunkPoll: deps must be an array, received number"
+    );
+    expect(() => validate({ enabled: false, deps: [1] })).not.toThrow();
+  });
+
+  it("should reject historySize that is not a positive integer", () => {
+    expect(() => validate({ historySize: 0 })).toThrow(
+      "useThunkPoll: historySize must be a positive integer, received 0"
+    );
+  });
+
+  it("should skip validation in production", () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = "production";
+
+    expect(() => validate({ interval: -1 })).not.toThrow();
+
+    process.env.NODE_ENV = nodeEnv;
+  });
+});
@@ -0,0 +1,70 @@
+// Progress of a running job, kept in sessionStorage under its persistKey so a
+// reload carries on with the job instead of starting it over
+const STORAGE_PREFIX = "thunk-poll:";
+
+// sessionStorage can be missing (outside a browser) or throw on access
+// (disabled storage); persistence is then silently skipped
+const getStorage = () => {
+  try {
+    return typeof sessionStorage !== "undefined" ? sessionStorage : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Saves { attemptCount, startedAt, maxAttempts, timeRemaining } for the job.
+ * maxAttempts and timeRemaining are what is left of its budget and may be null.
+ */
+export const saveJobProgress = (persistKey, progress) => {
+  try {
+    getStorage()?.setItem(
+      `${STORAGE_PREFIX}${persistKey}`,
+      JSON.stringify({ ...progress, savedAt: Date.now() })
+    );
+  } catch (error) {
+    // Storage full: the job just won't survive a reload
+  }
+};
+
+export const clearJobProgress = (persistKey) => {
+  try {
+    getStorage()?.removeItem(`${STORAGE_PREFIX}${persistKey}`);
+  } catch (error) {
+    // Nothing was saved then
+  }
+};
+
+/**
+ * Returns the saved progress with timeRemaining brought up to date, or null
+ * when nothing was saved or the job has run out of attempts or time since.
+ * Expired progress is dropped from storage.
+ */
+export const loadJobProgress = (persistKey) => {
+  let saved = null;
+  try {
+    saved = JSON.parse(
+      getStorage()?.getItem(`${STORAGE_PREFIX}${persistKey}`) ?? "null"
+    );
+  } catch (error) {
+    saved = null;
+  }
+  if (!saved || !Number.isInteger(saved.attemptCount)) {
+    clearJobProgress(persistKey);
+    return null;
+  }
+
+  const { attemptCount, startedAt, maxAttempts, timeRemaining, savedAt } =
+    saved;
+  // The time the page was gone counts against the budget
+  const timeLeft =
+    timeRemaining == null ? null : timeRemaining - (Date.now() - savedAt);
+  if (
+    (maxAttempts != null && attemptCount >= maxAttempts) ||
+    (timeLeft != null && timeLeft <= 0)
+  ) {
+    clearJobProgress(persistKey);
+    return null;
+  }
+  return { attemptCount, startedAt, maxAttempts, timeRemaining: timeLeft };
+};
@@ -0,0 +1,81 @@
+import {
+  clearJobProgress,
+  loadJobProgress,
+  saveJobProgress,
+} from "./pollPersistence";
+
+describe("pollPersistence", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should load saved progress with the time away taken off the budget", () => {
+    saveJobProgress("job", {
+      attemptCount: 2,
+      startedAt: 100,
+      maxAttempts: 5,
+      timeRemaining: 10000,
+    });
+    jest.advanceTimersByTime(4000);
+
+    expect(loadJobProgress("job")).toEqual({
+      attemptCount: 2,
+      startedAt: 100,
+      maxAttempts: 5,
+      timeRemaining: 6000,
+    });
+  });
+
+  it("should keep jobs without a timeout until their attempts run out", () => {
+    saveJobProgress("job", {
+      attemptCount: 2,
+      startedAt: 100,
+      maxAttempts: null,
+      timeRemaining: null,
+    });
+
+    expect(loadJobProgress("job")).toEqual(
+      expect.objectContaining({ attemptCount: 2, timeRemaining: null })
+    );
+  });
+
+  it("should drop jobs that are out of attempts or time", () => {
+    saveJobProgress("attempts", {
+      attemptCount: 5,
+      startedAt: 100,
+      maxAttempts: 5,
+      timeRemaining: null,
+    });
+    saveJobProgress("time", {
+      attemptCount: 1,
+      startedAt: 100,
+      maxAttempts: 5,
+      timeRemaining: 1000,
+    });
+    jest.advanceTimersByTime(1000);
+
+    expect(loadJobProgress("attempts")).toBeNull();
+    expect(loadJobProgress("time")).toBeNull();
+    expect(sessionStorage.length).toBe(0);
+  });
+
+  it("should ignore missing or corrupt entries", () => {
+    sessionStorage.setItem("thunk-poll:corrupt", "{not json");
+
+    expect(loadJobProgress("missing")).toBeNull();
+    expect(loadJobProgress("corrupt")).toBeNull();
+    expect(sessionStorage.getItem("thunk-poll:corrupt")).toBeNull();
+  });
+
+  it("should clear saved progress", () => {
+    saveJobProgress("job", { attemptCount: 1, timeRemaining: null });
+    clearJobProgress("job");
+
+    expect(loadJobProgress("job")).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+// Keyed pollers shared by every useThunkPoll that passes the same `key`, so
+// identical polls run one timer loop and one request per attempt
+const entries = new Map();
+
+// Lifecycle callbacks every subscriber of a shared poll hears, rather than
+// only the one that rendered last
+const LIFECYCLE_CALLBACKS = [
+  "onAttempt",
+  "onResult",
+  "onSuccess",
+  "onFailure",
+  "onMaxAttempts",
+  "onError",
+  "onSettled",
+];
+
+const createEntry = (poller) => ({
+  poller,
+  subscribers: 0,
+  disconnect: null,
+  callbacks: new Set(),
+});
+
+/**
+ * Returns the poller registered under `key`, creating it on first use.
+ * Looking a poller up does not keep it alive; see retainSharedPoller.
+ */
+export const getSharedPoller = (key, create) => {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = createEntry(create());
+    entries.set(key, entry);
+  }
+  return entry.poller;
+};
+
+/**
+ * Counts one subscriber for `key`. The first subscriber connects the poller;
+ * the returned release function disconnects it (stopping its job) and drops
+ * it from the registry once the last subscriber is gone.
+ *
+ * `callbacksRef` is a ref to the subscriber's latest options; their lifecycle
+ * callbacks are called through getSharedCallbacks until it is released.
+ */
+export const retainSharedPoller = (key, poller, callbacksRef = null) => {
+  let entry = entries.get(key);
+  if (!entry) {
+    // Released in between, e.g. by StrictMode re-running effects
+    entry = createEntry(poller);
+    entries.set(key, entry);
+  }
+  if (callbacksRef) entry.callbacks.add(callbacksRef);
+  entry.subscribers += 1;
+  if (entry.subscribers === 1) {
+    entry.disconnect = entry.poller.connect();
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    entry.subscribers -= 1;
+    if (entry.subscribers === 0) {
+      // Disconnected while still registered, so the last subscriber hears
+      // its job being stopped
+      entry.disconnect();
+      entries.delete(key);
+    }
+    entry.callbacks.delete(callbacksRef);
+  };
+};
+
+/**
+ * Lifecycle callbacks for the shared poller under `key` that call the
+ * matching callback of every retained subscriber. A subscriber whose
+ * callback throws does not keep the others from being called.
+ */
+export const getSharedCallbacks = (key) =>
+  Object.fromEntries(
+    LIFECYCLE_CALLBACKS.map((name) => [
+      name,
+      (...args) => {
+        const entry = entries.get(key);
+        const callbacks = entry ? [...entry.callbacks] : [];
+        callbacks.forEach((callbacksRef) => {
+          const callback = callbacksRef.current?.[name];
+          if (typeof callback !== "function") return;
+          try {
+            callback(...args);
+          } catch (error) {
+            console.error(`useThunkPoll: ${name} callback threw`, error);
+          }
+        });
+      },
+    ])
+  );
+
+export const getSubscriberCount = (key) => entries.get(key)?.subscribers ?? 0;
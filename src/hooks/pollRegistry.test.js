@@ -0,0 +1,97 @@
+import {
+  getSharedCallbacks,
+  getSharedPoller,
+  getSubscriberCount,
+  retainSharedPoller,
+} from "./pollRegistry";
+
+const createFakePoller = () => {
+  const disconnect = jest.fn();
+  return { connect: jest.fn(() => disconnect), disconnect };
+};
+
+describe("pollRegistry", () => {
+  it("should create one poller per key", () => {
+    const create = jest.fn(createFakePoller);
+
+    const first = getSharedPoller("a", create);
+    const second = getSharedPoller("a", create);
+    const other = getSharedPoller("b", create);
+
+    expect(first).toBe(second);
+    expect(other).not.toBe(first);
+    expect(create).toHaveBeenCalledTimes(2);
+
+    retainSharedPoller("a", first)();
+    retainSharedPoller("b", other)();
+  });
+
+  it("should connect on the first subscriber and disconnect after the last", () => {
+    const poller = getSharedPoller("posts", createFakePoller);
+
+    const releaseFirst = retainSharedPoller("posts", poller);
+    const releaseSecond = retainSharedPoller("posts", poller);
+
+    expect(poller.connect).toHaveBeenCalledTimes(1);
+    expect(getSubscriberCount("posts")).toBe(2);
+
+    releaseFirst();
+    releaseFirst();
+    expect(getSubscriberCount("posts")).toBe(1);
+    expect(poller.disconnect).not.toHaveBeenCalled();
+
+    releaseSecond();
+    expect(getSubscriberCount("posts")).toBe(0);
+    expect(poller.disconnect).toHaveBeenCalledTimes(1);
+  });
+
+  it("should hand out a fresh poller once a key has been released", () => {
+    const poller = getSharedPoller("posts", createFakePoller);
+    retainSharedPoller("posts", poller)();
+
+    expect(getSharedPoller("posts", createFakePoller)).not.toBe(poller);
+  });
+
+  it("should re-register a poller retained again after its release", () => {
+    const poller = getSharedPoller("posts", createFakePoller);
+    retainSharedPoller("posts", poller)();
+
+    const release = retainSharedPoller("posts", poller);
+
+    expect(getSharedPoller("posts", createFakePoller)).toBe(poller);
+    expect(poller.connect).toHaveBeenCalledTimes(2);
+    release();
+  });
+
+  it("should call every retained subscriber's callbacks", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const poller = getSharedPoller("posts", createFakePoller);
+    const first = { current: { onSuccess: jest.fn() } };
+    const second = {
+      current: {
+        onSuccess: jest.fn(() => {
+          throw new Error("Broken callback");
+        }),
+      },
+    };
+    const third = { current: { onSuccess: jest.fn() } };
+    const releaseFirst = retainSharedPoller("posts", poller, first);
+    const releaseSecond = retainSharedPoller("posts", poller, second);
+    const releaseThird = retainSharedPoller("posts", poller, third);
+    const { onSuccess } = getSharedCallbacks("posts");
+
+    onSuccess("result", 1);
+    expect(first.current.onSuccess).toHaveBeenCalledWith("result", 1);
+    expect(second.current.onSuccess).toHaveBeenCalledTimes(1);
+    expect(third.current.onSuccess).toHaveBeenCalledWith("result", 1);
+
+    releaseFirst();
+    onSuccess("result", 2);
+    expect(first.current.onSuccess).toHaveBeenCalledTimes(1);
+    expect(third.current.onSuccess).toHaveBeenCalledTimes(2);
+
+    releaseSecond();
+    releaseThird();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,33 @@
+export const ValidationVerdicts = {
+  SUCCESS: "success",
+  CONTINUE: "continue",
+  FAIL: "fail",
+};
+
+const VERDICTS = Object.values(ValidationVerdicts);
+
+/**
+ * Turns whatever a validator returned into `{ verdict, reason }`.
+ *
+ * Validators may return one of `ValidationVerdicts`, an object
+ * `{ status, reason }` with such a status, or a plain boolean as before
+ * (true is success, false keeps polling).
+ */
+export const readValidatorResult = (value) => {
+  if (typeof value === "string") {
+    if (!VERDICTS.includes(value)) {
+      throw new Error(`Unknown validator result: ${value}`);
+    }
+    return { verdict: value, reason: null };
+  }
+  if (value && typeof value === "object" && "status" in value) {
+    if (!VERDICTS.includes(value.status)) {
+      throw new Error(`Unknown validator result: ${value.status}`);
+    }
+    return { verdict: value.status, reason: value.reason ?? null };
+  }
+  return {
+    verdict: value ? ValidationVerdicts.SUCCESS : ValidationVerdicts.CONTINUE,
+    reason: null,
+  };
+};
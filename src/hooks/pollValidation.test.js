@@ -0,0 +1,49 @@
+import { ValidationVerdicts, readValidatorResult } from "./pollValidation";
+
+describe("readValidatorResult", () => {
+  it("should keep treating booleans as success and continue", () => {
+    expect(readValidatorResult(true)).toEqual({
+      verdict: ValidationVerdicts.SUCCESS,
+      reason: null,
+    });
+    expect(readValidatorResult(false)).toEqual({
+      verdict: ValidationVerdicts.CONTINUE,
+      reason: null,
+    });
+    expect(readValidatorResult(undefined).verdict).toBe(
+      ValidationVerdicts.CONTINUE
+    );
+  });
+
+  it("should accept verdict strings", () => {
+    expect(readValidatorResult("success").verdict).toBe("success");
+    expect(readValidatorResult("continue").verdict).toBe("continue");
+    expect(readValidatorResult("fail")).toEqual({
+      verdict: "fail",
+      reason: null,
+    });
+  });
+
+  it("should read the status and reason of a verdict object", () => {
+    expect(
+      readValidatorResult({ status: "fail", reason: "Post was rejected" })
+    ).toEqual({ verdict: "fail", reason: "Post was rejected" });
+    expect(readValidatorResult({ status: "continue" })).toEqual({
+      verdict: "continue",
+      reason: null,
+    });
+  });
+
+  it("should treat other objects as truthy, like before", () => {
+    expect(readValidatorResult({ id: 1 }).verdict).toBe("success");
+  });
+
+  it("should throw for an unknown verdict", () => {
+    expect(() => readValidatorResult("done")).toThrow(
+      "Unknown validator result: done"
+    );
+    expect(() => readValidatorResult({ status: "nope" })).toThrow(
+      "Unknown validator result: nope"
+    );
+  });
+});
@@ -0,0 +1,72 @@
+export const BackoffStrategies = {
+  FIXED: "fixed",
+  LINEAR: "linear",
+  EXPONENTIAL: "exponential",
+  JITTER: "jitter",
+};
+
+// fixed-delay waits `interval` after each request settles; fixed-rate starts
+// an attempt every `interval` regardless of how long requests take
+export const Schedules = {
+  FIXED_DELAY: "fixed-delay",
+  FIXED_RATE: "fixed-rate",
+};
+
+// What a fixed-rate tick does while the previous request is still in flight
+export const OverlapPolicies = {
+  SKIP: "skip",
+  QUEUE: "queue",
+  ALLOW: "allow",
+};
+
+const DEFAULT_BACKOFF_FACTOR = 2;
+
+/**
+ * Works out how long to wait before the next attempt.
+ *
+ * `attempt` is the number of attempts already made (1 after the first poll).
+ * `backoff` is one of `BackoffStrategies` or a custom
+ * `(attempt, lastResult) => ms` function. The result is always clamped to
+ * `[minInterval, maxInterval]`.
+ */
+export const getBackoffDelay = (
+  attempt,
+  lastResult,
+  {
+    interval = 0,
+    backoff = BackoffStrategies.FIXED,
+    backoffFactor = DEFAULT_BACKOFF_FACTOR,
+    minInterval = 0,
+    maxInterval = Infinity,
+  } = {}
+) => {
+  let delay;
+
+  if (typeof backoff === "function") {
+    delay = backoff(attempt, lastResult);
+  } else {
+    switch (backoff) {
+      case BackoffStrategies.LINEAR:
+        delay = interval * attempt;
+        break;
+      case BackoffStrategies.EXPONENTIAL:
+        delay = interval * Math.pow(backoffFactor, attempt - 1);
+        break;
+      case BackoffStrategies.JITTER:
+        // "Full jitter": a random point between 0 and the exponential delay.
+        delay = Math.random() * interval * Math.pow(backoffFactor, attempt - 1);
+        break;
+      case BackoffStrategies.FIXED:
+        delay = interval;
+        break;
+      default:
+        throw new Error(`Unknown backoff strategy: ${backoff}`);
+    }
+  }
+
+  if (!Number.isFinite(delay)) {
+    delay = interval;
+  }
+
+  return Math.min(Math.max(delay, minInterval), maxInterval);
+};
@@ -0,0 +1,69 @@
+import { getBackoffDelay, BackoffStrategies } from "./pollingBackoff";
+
+describe("getBackoffDelay", () => {
+  it("should return the plain interval for the fixed strategy", () => {
+    expect(getBackoffDelay(1, null, { interval: 1000 })).toBe(1000);
+    expect(getBackoffDelay(4, null, { interval: 1000 })).toBe(1000);
+  });
+
+  it("should grow linearly with the attempt number", () => {
+    const options = { interval: 1000, backoff: BackoffStrategies.LINEAR };
+
+    expect(getBackoffDelay(1, null, options)).toBe(1000);
+    expect(getBackoffDelay(3, null, options)).toBe(3000);
+  });
+
+  it("should grow exponentially using backoffFactor", () => {
+    const options = { interval: 1000, backoff: BackoffStrategies.EXPONENTIAL };
+
+    expect(getBackoffDelay(1, null, options)).toBe(1000);
+    expect(getBackoffDelay(2, null, options)).toBe(2000);
+    expect(getBackoffDelay(4, null, options)).toBe(8000);
+    expect(
+      getBackoffDelay(3, null, { ...options, backoffFactor: 3 })
+    ).toBe(9000);
+  });
+
+  it("should pick a random delay up to the exponential delay for jitter", () => {
+    const randomSpy = jest.spyOn(Math, "random").mockReturnValue(0.5);
+    const options = { interval: 1000, backoff: BackoffStrategies.JITTER };
+
+    expect(getBackoffDelay(3, null, options)).toBe(2000);
+
+    randomSpy.mockRestore();
+  });
+
+  it("should call a custom backoff function with attempt and last result", () => {
+    const backoff = jest.fn().mockReturnValue(1234);
+    const lastResult = { payload: [] };
+
+    expect(getBackoffDelay(2, lastResult, { interval: 1000, backoff })).toBe(
+      1234
+    );
+    expect(backoff).toHaveBeenCalledWith(2, lastResult);
+  });
+
+  it("should clamp the delay to minInterval and maxInterval", () => {
+    const options = {
+      interval: 1000,
+      backoff: BackoffStrategies.EXPONENTIAL,
+      minInterval: 1500,
+      maxInterval: 5000,
+    };
+
+    expect(getBackoffDelay(1, null, options)).toBe(1500);
+    expect(getBackoffDelay(10, null, options)).toBe(5000);
+  });
+
+  it("should fall back to the interval when a custom function returns garbage", () => {
+    expect(
+      getBackoffDelay(1, null, { interval: 1000, backoff: () => undefined })
+    ).toBe(1000);
+  });
+
+  it("should throw for an unknown strategy", () => {
+    expect(() =>
+      getBackoffDelay(1, null, { interval: 1000, backoff: "sometimes" })
+    ).toThrow("Unknown backoff strategy: sometimes");
+  });
+});
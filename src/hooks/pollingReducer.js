@@ -0,0 +1,161 @@
+export const ActionTypes = {
+  START_POLLING: "START_POLLING",
+  STOP_POLLING: "STOP_POLLING",
+  EXTEND_POLLING: "EXTEND_POLLING",
+  RESET_POLLING: "RESET_POLLING",
+  JOB_ADOPTED: "JOB_ADOPTED",
+  POLL_INIT: "POLL_INIT",
+  POLL_RESULT: "POLL_RESULT",
+  POLL_ERROR: "POLL_ERROR",
+  ATTEMPT_RECORDED: "ATTEMPT_RECORDED",
+  NEXT_POLL_SCHEDULED: "NEXT_POLL_SCHEDULED",
+  VALIDATION_SUCCESS: "VALIDATION_SUCCESS",
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  MAX_ATTEMPTS_REACHED: "MAX_ATTEMPTS_REACHED",
+  TIMED_OUT: "TIMED_OUT",
+  STOPPED_ON_ERROR: "STOPPED_ON_ERROR",
+  SUSPEND: "SUSPEND",
+  RESUME: "RESUME",
+};
+
+// Reasons the poll loop can be put on hold without ending the job. Each one
+// maps to the state flag that exposes it.
+export const SuspendReasons = {
+  HIDDEN: "hidden",
+  OFFLINE: "offline",
+  PAUSED: "paused",
+};
+const suspendFlags = {
+  [SuspendReasons.HIDDEN]: "isHidden",
+  [SuspendReasons.OFFLINE]: "isOffline",
+  [SuspendReasons.PAUSED]: "isPaused",
+};
+export const initialState = {
+  isPollingJobActive: false,
+  isPolling: false,
+  attemptCount: 0,
+  lastResult: null,
+  lastError: null,
+  consecutiveErrors: 0,
+  history: [], // only filled with the historySize option
+  nextPollAt: null, // timestamp of the next scheduled attempt
+  validationStatus: null, // 'success', 'failed', 'max_attempts_reached', 'timed_out', 'error', null
+  failureReason: null, // set by a validator that failed the job
+  isHidden: false,
+  isOffline: false,
+  isPaused: false,
+};
+
+export function pollingReducer(state, action) {
+  switch (action.type) {
+    case ActionTypes.START_POLLING:
+      return {
+        ...initialState,
+        isHidden: state.isHidden,
+        isOffline: state.isOffline,
+        isPollingJobActive: true,
+      };
+    case ActionTypes.EXTEND_POLLING:
+      // Reopens a finished job; progress so far is kept
+      return {
+        ...state,
+        isPollingJobActive: true,
+        consecutiveErrors: 0,
+        validationStatus: null,
+        failureReason: null,
+      };
+    case ActionTypes.JOB_ADOPTED:
+      // Carries on a job another poller was running, e.g. in a closed tab
+      return {
+        ...state,
+        isPollingJobActive: true,
+        isPolling: false,
+        attemptCount: action.payload.attemptCount,
+        lastResult: action.payload.lastResult,
+        consecutiveErrors: action.payload.consecutiveErrors,
+        history: action.payload.history,
+        validationStatus: null,
+        failureReason: null,
+      };
+    case ActionTypes.RESET_POLLING:
+      return {
+        ...initialState,
+        isHidden: state.isHidden,
+        isOffline: state.isOffline,
+      };
+    case ActionTypes.STOP_POLLING:
+      return {
+        ...state,
+        isPollingJobActive: false,
+        isPolling: false,
+      };
+    case ActionTypes.POLL_INIT:
+      return { ...state, isPolling: true, nextPollAt: null };
+    case ActionTypes.NEXT_POLL_SCHEDULED:
+      return { ...state, nextPollAt: action.payload };
+    case ActionTypes.POLL_RESULT:
+      return {
+        ...state,
+        isPolling: false,
+        lastResult: action.payload,
+        attemptCount: state.attemptCount + 1,
+        consecutiveErrors: 0,
+      };
+    case ActionTypes.POLL_ERROR:
+      return {
+        ...state,
+        isPolling: false,
+        lastResult: action.payload.result,
+        lastError: action.payload.error,
+        attemptCount: state.attemptCount + 1,
+        consecutiveErrors: state.consecutiveErrors + 1,
+      };
+    case ActionTypes.ATTEMPT_RECORDED: {
+      const { entry, limit } = action.payload;
+      return { ...state, history: [...state.history, entry].slice(-limit) };
+    }
+    case ActionTypes.VALIDATION_SUCCESS:
+      return {
+        ...state,
+        isPollingJobActive: false,
+        validationStatus: "success",
+      };
+    case ActionTypes.VALIDATION_FAILED:
+      return {
+        ...state,
+        isPollingJobActive: false,
+        validationStatus: "failed",
+        failureReason: action.payload,
+      };
+    case ActionTypes.MAX_ATTEMPTS_REACHED:
+      return {
+        ...state,
+        isPollingJobActive: false,
+        validationStatus: "max_attempts_reached",
+      };
+    case ActionTypes.TIMED_OUT:
+      return {
+        ...state,
+        isPollingJobActive: false,
+        isPolling: false,
+        validationStatus: "timed_out",
+      };
+    case ActionTypes.STOPPED_ON_ERROR:
+      return {
+        ...state,
+        isPollingJobActive: false,
+        validationStatus: "error",
+      };
+    case ActionTypes.SUSPEND:
+      // The wait is parked, so there is no next attempt to count down to
+      return {
+        ...state,
+        [suspendFlags[action.payload]]: true,
+        nextPollAt: null,
+      };
+    case ActionTypes.RESUME:
+      return { ...state, [suspendFlags[action.payload]]: false };
+    default:
+      throw new Error(`Unhandled action type: ${action.type}`);
+  }
+}
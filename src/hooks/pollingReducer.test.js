@@ -0,0 +1,118 @@
+import {
+  ActionTypes,
+  SuspendReasons,
+  initialState,
+  pollingReducer,
+} from "./pollingReducer";
+
+describe("pollingReducer", () => {
+  it("should throw for an unhandled action type", () => {
+    expect(() => pollingReducer(initialState, { type: "UNKNOWN" })).toThrow(
+      "Unhandled action type: UNKNOWN"
+    );
+  });
+
+  it("should reset the job but keep environment flags on START_POLLING", () => {
+    const state = {
+      ...initialState,
+      attemptCount: 3,
+      validationStatus: "success",
+      isHidden: true,
+      isOffline: true,
+      isPaused: true,
+    };
+
+    expect(pollingReducer(state, { type: ActionTypes.START_POLLING })).toEqual({
+      ...initialState,
+      isPollingJobActive: true,
+      isHidden: true,
+      isOffline: true,
+    });
+  });
+
+  it("should record the failure reason on VALIDATION_FAILED", () => {
+    const state = { ...initialState, isPollingJobActive: true };
+
+    expect(
+      pollingReducer(state, {
+        type: ActionTypes.VALIDATION_FAILED,
+        payload: "Post was rejected",
+      })
+    ).toEqual({
+      ...initialState,
+      validationStatus: "failed",
+      failureReason: "Post was rejected",
+    });
+  });
+
+  it("should reopen a finished job without losing progress on EXTEND_POLLING", () => {
+    const state = {
+      ...initialState,
+      attemptCount: 5,
+      lastResult: { payload: [] },
+      consecutiveErrors: 2,
+      validationStatus: "failed",
+      failureReason: "Post was rejected",
+    };
+
+    expect(pollingReducer(state, { type: ActionTypes.EXTEND_POLLING })).toEqual(
+      {
+        ...initialState,
+        isPollingJobActive: true,
+        attemptCount: 5,
+        lastResult: { payload: [] },
+      }
+    );
+  });
+
+  it("should take over another poller's progress on JOB_ADOPTED", () => {
+    const history = [{ attempt: 2, outcome: "continued" }];
+
+    expect(
+      pollingReducer(initialState, {
+        type: ActionTypes.JOB_ADOPTED,
+        payload: {
+          attemptCount: 2,
+          lastResult: { payload: [] },
+          consecutiveErrors: 1,
+          history,
+        },
+      })
+    ).toEqual({
+      ...initialState,
+      isPollingJobActive: true,
+      attemptCount: 2,
+      lastResult: { payload: [] },
+      consecutiveErrors: 1,
+      history,
+    });
+  });
+
+  it("should go back to idle but keep environment flags on RESET_POLLING", () => {
+    const state = {
+      ...initialState,
+      attemptCount: 5,
+      validationStatus: "max_attempts_reached",
+      isOffline: true,
+    };
+
+    expect(pollingReducer(state, { type: ActionTypes.RESET_POLLING })).toEqual({
+      ...initialState,
+      isOffline: true,
+    });
+  });
+
+  it("should set and clear suspend flags by reason", () => {
+    const paused = pollingReducer(initialState, {
+      type: ActionTypes.SUSPEND,
+      payload: SuspendReasons.PAUSED,
+    });
+    expect(paused.isPaused).toBe(true);
+
+    const resumed = pollingReducer(paused, {
+      type: ActionTypes.RESUME,
+      payload: SuspendReasons.PAUSED,
+    });
+    expect(resumed.isPaused).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+// A message bus between the tabs of this origin. Messages only reach the
+// other tabs, never the one that posted them.
+const STORAGE_PREFIX = "tab-channel:";
+
+const createBroadcastTransport = (name) => {
+  const channel = new BroadcastChannel(name);
+  return {
+    post: (message) => channel.postMessage(message),
+    subscribe: (handler) => {
+      const listener = (event) => handler(event.data);
+      channel.addEventListener("message", listener);
+      return () => channel.removeEventListener("message", listener);
+    },
+    close: () => channel.close(),
+  };
+};
+
+// Browsers without BroadcastChannel still fire "storage" events in the other
+// tabs whenever a localStorage value changes. The nonce makes repeated
+// identical messages count as changes.
+const createStorageTransport = (name) => {
+  const storageKey = `${STORAGE_PREFIX}${name}`;
+  return {
+    post: (message) => {
+      try {
+        localStorage.setItem(
+          storageKey,
+          JSON.stringify({ message, nonce: Math.random() })
+        );
+      } catch (error) {
+        // Storage full or disabled: this tab simply keeps to itself
+      }
+    },
+    subscribe: (handler) => {
+      const listener = (event) => {
+        if (event.key !== storageKey || !event.newValue) return;
+        handler(JSON.parse(event.newValue).message);
+      };
+      window.addEventListener("storage", listener);
+      return () => window.removeEventListener("storage", listener);
+    },
+    close: () => {},
+  };
+};
+
+// Outside a browser there are no other tabs to talk to
+const createNoopTransport = () => ({
+  post: () => {},
+  subscribe: () => () => {},
+  close: () => {},
+});
+
+/**
+ * Opens the channel `name` on BroadcastChannel, falling back to localStorage
+ * events. Messages must be structured-cloneable; with the fallback they go
+ * through JSON, so stick to plain data.
+ */
+export const createTabChannel = (name) => {
+  if (typeof BroadcastChannel === "function") {
+    return createBroadcastTransport(name);
+  }
+  if (typeof window !== "undefined" && typeof localStorage !== "undefined") {
+    return createStorageTransport(name);
+  }
+  return createNoopTransport();
+};
@@ -0,0 +1,75 @@
+import { createTabChannel } from "./tabChannel";
+
+describe("createTabChannel", () => {
+  afterEach(() => {
+    delete global.BroadcastChannel;
+    localStorage.clear();
+  });
+
+  it("should use BroadcastChannel when the browser has it", () => {
+    const instances = [];
+    global.BroadcastChannel = class {
+      constructor(name) {
+        this.name = name;
+        this.listeners = new Set();
+        this.postMessage = jest.fn();
+        this.close = jest.fn();
+        instances.push(this);
+      }
+
+      addEventListener(type, listener) {
+        this.listeners.add(listener);
+      }
+
+      removeEventListener(type, listener) {
+        this.listeners.delete(listener);
+      }
+    };
+    const handler = jest.fn();
+
+    const channel = createTabChannel("polls");
+    const unsubscribe = channel.subscribe(handler);
+    channel.post({ type: "probe" });
+    instances[0].listeners.forEach((listener) =>
+      listener({ data: { type: "heartbeat" } })
+    );
+    unsubscribe();
+    channel.close();
+
+    expect(instances[0].name).toBe("polls");
+    expect(instances[0].postMessage).toHaveBeenCalledWith({ type: "probe" });
+    expect(handler).toHaveBeenCalledWith({ type: "heartbeat" });
+    expect(instances[0].listeners.size).toBe(0);
+    expect(instances[0].close).toHaveBeenCalled();
+  });
+
+  it("should fall back to localStorage events", () => {
+    const handler = jest.fn();
+    const channel = createTabChannel("polls");
+    const unsubscribe = channel.subscribe(handler);
+
+    channel.post({ type: "probe" });
+    const stored = localStorage.getItem("tab-channel:polls");
+    expect(JSON.parse(stored).message).toEqual({ type: "probe" });
+
+    window.dispatchEvent(
+      new StorageEvent("storage", { key: "other", newValue: stored })
+    );
+    window.dispatchEvent(
+      new StorageEvent("storage", {
+        key: "tab-channel:polls",
+        newValue: stored,
+      })
+    );
+    unsubscribe();
+    window.dispatchEvent(
+      new StorageEvent("storage", {
+        key: "tab-channel:polls",
+        newValue: stored,
+      })
+    );
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ type: "probe" });
+  });
+});
@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useDispatch } from "react-redux";
+import { isRejected } from "@reduxjs/toolkit";
+import useThunkPoll from "./useThunkPoll";
+import { validateJobOptions } from "./pollOptions";
+
+export const JobStatuses = {
+  IDLE: "idle",
+  SUBMITTING: "submitting",
+  POLLING: "polling",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+const idleJob = {
+  phase: JobStatuses.IDLE,
+  submitResult: null,
+  submitError: null,
+};
+
+// Once polling has started, the poll state decides how the job is doing
+const getJobStatus = (phase, pollState) => {
+  if (phase !== JobStatuses.POLLING) return phase;
+  if (pollState.isPollingJobActive) return JobStatuses.POLLING;
+  return pollState.validationStatus === "success"
+    ? JobStatuses.SUCCEEDED
+    : JobStatuses.FAILED;
+};
+
+/**
+ * Submit-then-poll in one hook. run(...args) dispatches submit(...args), then
+ * polls poll(submitResult) with the submit thunk's payload (a job id, say)
+ * until the validator passes:
+ *
+ *   const { run, status } = useThunkJob({
+ *     submit: createReport,
+ *     poll: (reportId) => fetchReportStatus(reportId),
+ *     validator: (report) => report.state === "done",
+ *     maxAttempts: 10,
+ *     interval: 2000,
+ *   });
+ *
+ * Takes every useThunkPoll option except enabled and deps; run() is what
+ * starts the job.
+ */
+const useThunkJob = (options) => {
+  validateJobOptions(options);
+  const { submit, poll, ...pollOptions } = options;
+  const dispatch = useDispatch();
+  const [job, setJob] = useState(idleJob);
+  // The first attempt runs before the next render, so the poll thunk reads
+  // the submit result from here rather than from state
+  const submitResultRef = useRef(null);
+  // Bumped by every run and cancel, so a superseded run stops where it is
+  const runIdRef = useRef(0);
+
+  // A run still submitting when the component unmounts must not start a
+  // poll nobody is left to stop
+  useEffect(
+    () => () => {
+      runIdRef.current += 1;
+    },
+    []
+  );
+
+  const thunkAction = useCallback(
+    () => dispatch(poll(submitResultRef.current)),
+    [dispatch, poll]
+  );
+
+  const { startPolling, stopPolling, resetPolling, ...pollState } =
+    useThunkPoll(thunkAction, pollOptions);
+
+  // Resolves with { status, submitResult, outcome }, where outcome is what
+  // startPolling resolved with (null if the submit failed), or with null if
+  // the run was cancelled or replaced by another one
+  const run = useCallback(
+    async (...args) => {
+      runIdRef.current += 1;
+      const runId = runIdRef.current;
+      stopPolling();
+      setJob({ ...idleJob, phase: JobStatuses.SUBMITTING });
+
+      const failSubmit = (error) => {
+        setJob({ ...idleJob, phase: JobStatuses.FAILED, submitError: error });
+        return {
+          status: JobStatuses.FAILED,
+          submitResult: null,
+          outcome: null,
+        };
+      };
+
+      let result;
+      try {
+        result = await dispatch(submit(...args));
+      } catch (error) {
+        return runId === runIdRef.current ? failSubmit(error) : null;
+      }
+      if (runId !== runIdRef.current) return null;
+      // createAsyncThunk resolves with a rejected action instead of throwing
+      if (isRejected(result)) return failSubmit(result.error);
+
+      const submitResult = result?.payload;
+      submitResultRef.current = submitResult;
+      const settled = startPolling();
+      setJob({ ...idleJob, phase: JobStatuses.POLLING, submitResult });
+
+      // With rejectOnFailure the poll rejects, but run() still resolves
+      let outcome;
+      try {
+        outcome = await settled;
+      } catch (error) {
+        outcome = error.outcome;
+      }
+      if (runId !== runIdRef.current) return null;
+      return {
+        status:
+          outcome.status === "success"
+            ? JobStatuses.SUCCEEDED
+            : JobStatuses.FAILED,
+        submitResult,
+        outcome,
+      };
+    },
+    [dispatch, submit, startPolling, stopPolling]
+  );
+
+  // Abandons the current run, whatever stage it is in, and goes back to idle
+  const cancel = useCallback(() => {
+    runIdRef.current += 1;
+    submitResultRef.current = null;
+    resetPolling();
+    setJob(idleJob);
+  }, [resetPolling]);
+
+  return {
+    ...pollState,
+    status: getJobStatus(job.phase, pollState),
+    submitResult: job.submitResult,
+    submitError: job.submitError,
+    run,
+    cancel,
+  };
+};
+
+export default useThunkJob;
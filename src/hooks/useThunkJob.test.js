@@ -0,0 +1,213 @@
+import { renderHook, act } from "@testing-library/react";
+import { useDispatch } from "react-redux";
+import useThunkJob, { JobStatuses } from "./useThunkJob";
+
+jest.mock("react-redux", () => ({
+  useDispatch: jest.fn(),
+}));
+
+jest.useFakeTimers();
+
+describe("useThunkJob", () => {
+  const submitAction = { type: "reports/create" };
+  const pollAction = { type: "reports/fetchStatus" };
+  let mockDispatch;
+  let submit;
+  let poll;
+  let validator;
+  let submitResult;
+
+  const flush = async () => {
+    await act(async () => {
+      await Promise.resolve();
+      await Promise.resolve();
+      await Promise.resolve();
+    });
+  };
+
+  const renderJob = (options = {}) =>
+    renderHook(() =>
+      useThunkJob({
+        submit,
+        poll,
+        validator,
+        maxAttempts: 3,
+        interval: 1000,
+        ...options,
+      })
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.clearAllTimers();
+
+    submitResult = Promise.resolve({
+      type: "reports/create/fulfilled",
+      payload: "report-1",
+    });
+    submit = jest.fn(() => submitAction);
+    poll = jest.fn(() => pollAction);
+    validator = jest.fn().mockReturnValue(false);
+    // Stands in for redux-thunk: function actions are called, the submit
+    // and poll actions resolve like createAsyncThunk promises
+    mockDispatch = jest.fn((action) => {
+      if (typeof action === "function") return action();
+      if (action === submitAction) return submitResult;
+      return Promise.resolve({ payload: { state: "running" } });
+    });
+    useDispatch.mockReturnValue(mockDispatch);
+  });
+
+  it("should start idle", () => {
+    const { result } = renderJob();
+
+    expect(result.current.status).toBe(JobStatuses.IDLE);
+    expect(result.current.submitResult).toBeNull();
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+
+  it("should submit, then poll with the submit result until validated", async () => {
+    validator.mockReturnValueOnce(false).mockReturnValueOnce(true);
+    const { result } = renderJob();
+
+    let outcome;
+    act(() => {
+      outcome = result.current.run({ title: "Q3" });
+    });
+    expect(result.current.status).toBe(JobStatuses.SUBMITTING);
+    expect(submit).toHaveBeenCalledWith({ title: "Q3" });
+
+    await flush();
+    expect(result.current.status).toBe(JobStatuses.POLLING);
+    expect(result.current.submitResult).toBe("report-1");
+    expect(poll).toHaveBeenCalledWith("report-1");
+
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+      await Promise.resolve();
+      await Promise.resolve();
+    });
+    expect(result.current.status).toBe(JobStatuses.SUCCEEDED);
+    expect(poll).toHaveBeenCalledTimes(2);
+    await expect(outcome).resolves.toEqual({
+      status: JobStatuses.SUCCEEDED,
+      submitResult: "report-1",
+      outcome: expect.objectContaining({ status: "success", attemptCount: 2 }),
+    });
+  });
+
+  it("should fail without polling when the submit is rejected", async () => {
+    submitResult = Promise.resolve({
+      type: "reports/create/rejected",
+      payload: undefined,
+      error: { message: "Quota exceeded" },
+      meta: { requestId: "abc", requestStatus: "rejected" },
+    });
+    const { result } = renderJob();
+
+    let outcome;
+    act(() => {
+      outcome = result.current.run();
+    });
+    await flush();
+
+    expect(result.current.status).toBe(JobStatuses.FAILED);
+    expect(result.current.submitError).toEqual({ message: "Quota exceeded" });
+    expect(poll).not.toHaveBeenCalled();
+    await expect(outcome).resolves.toEqual({
+      status: JobStatuses.FAILED,
+      submitResult: null,
+      outcome: null,
+    });
+  });
+
+  it("should fail when polling gives up", async () => {
+    const { result } = renderJob({ maxAttempts: 1 });
+
+    act(() => {
+      result.current.run();
+    });
+    await flush();
+
+    expect(result.current.status).toBe(JobStatuses.FAILED);
+    expect(result.current.validationStatus).toBe("max_attempts_reached");
+  });
+
+  it("should resolve with the failed outcome when rejectOnFailure is set", async () => {
+    const { result } = renderJob({ maxAttempts: 1, rejectOnFailure: true });
+
+    let outcome;
+    act(() => {
+      outcome = result.current.run();
+    });
+    await flush();
+
+    await expect(outcome).resolves.toEqual({
+      status: JobStatuses.FAILED,
+      submitResult: "report-1",
+      outcome: expect.objectContaining({ status: "max_attempts_reached" }),
+    });
+  });
+
+  it("should resolve a run replaced by a newer one with null", async () => {
+    const { result } = renderJob({ rejectOnFailure: true });
+
+    let first;
+    act(() => {
+      first = result.current.run();
+    });
+    await flush();
+    act(() => {
+      result.current.run();
+    });
+    await flush();
+
+    await expect(first).resolves.toBeNull();
+  });
+
+  it("should go back to idle and ignore the submit result when cancelled", async () => {
+    const { result } = renderJob();
+
+    let outcome;
+    act(() => {
+      outcome = result.current.run();
+    });
+    act(() => {
+      result.current.cancel();
+    });
+    await flush();
+
+    expect(result.current.status).toBe(JobStatuses.IDLE);
+    expect(poll).not.toHaveBeenCalled();
+    await expect(outcome).resolves.toBeNull();
+  });
+
+  it("should not start polling when unmounted while submitting", async () => {
+    const { result, unmount } = renderJob({ maxAttempts: null });
+
+    let outcome;
+    act(() => {
+      outcome = result.current.run();
+    });
+    unmount();
+    await flush();
+    jest.advanceTimersByTime(5000);
+    await flush();
+
+    expect(poll).not.toHaveBeenCalled();
+    expect(jest.getTimerCount()).toBe(0);
+    await expect(outcome).resolves.toBeNull();
+  });
+
+  it("should throw a clear error for missing action creators", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(() => renderJob({ poll: undefined })).toThrow(
+      "useThunkJob: poll must be a function, received undefined"
+    );
+    expect(() => renderJob({ enabled: true })).toThrow(
+      "useThunkJob: enabled is not supported, call run() to start the job"
+    );
+    console.error.mockRestore();
+  });
+});
@@ -1,141 +1,152 @@
-import { useReducer, useCallback, useRef, useEffect } from "react";
+import {
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
 import { useDispatch } from "react-redux";
+import createPoller from "./createPoller";
+import createCrossTabPoller from "./crossTabPoller";
+import {
+  getSharedCallbacks,
+  getSharedPoller,
+  getSubscriberCount,
+  retainSharedPoller,
+} from "./pollRegistry";
+import { normalizePollArgs, validatePollOptions } from "./pollOptions";
+import { pollRemoved } from "../store/pollingSlice";
 
-const ActionTypes = {
-  START_POLLING: "START_POLLING",
-  STOP_POLLING: "STOP_POLLING",
-  POLL_INIT: "POLL_INIT",
-  POLL_RESULT: "POLL_RESULT",
-  VALIDATION_SUCCESS: "VALIDATION_SUCCESS",
-  MAX_ATTEMPTS_REACHED: "MAX_ATTEMPTS_REACHED",
-};
-const initialState = {
-  isPollingJobActive: false,
-  isPolling: false,
-  attemptCount: 0,
-  lastResult: null,
-  validationStatus: null, // 'success', 'max_attempts_reached', null
-};
+const areDepsEqual = (previous, next) =>
+  previous === next ||
+  (Array.isArray(previous) &&
+    Array.isArray(next) &&
+    previous.length === next.length &&
+    previous.every((value, index) => Object.is(value, next[index])));
 
-function pollingReducer(state, action) {
-  switch (action.type) {
-    case ActionTypes.START_POLLING:
-      return {
-        ...initialState,
-        isPollingJobActive: true,
-      };
-    case ActionTypes.STOP_POLLING:
-      return {
-        ...state,
-        isPollingJobActive: false,
-        isPolling: false,
-      };
-    case ActionTypes.POLL_INIT:
-      return { ...state, isPolling: true };
-    case ActionTypes.POLL_RESULT:
-      return {
-        ...state,
-        isPolling: false,
-        lastResult: action.payload,
-        attemptCount: state.attemptCount + 1,
-      };
-    case ActionTypes.VALIDATION_SUCCESS:
-      return {
-        ...state,
-        isPollingJobActive: false,
-        validationStatus: "success",
-      };
-    case ActionTypes.MAX_ATTEMPTS_REACHED:
-      return {
-        ...state,
-        isPollingJobActive: false,
-        validationStatus: "max_attempts_reached",
-      };
-    default:
-      throw new Error(`Unhandled action type: ${action.type}`);
+// Bumps a counter whenever the `deps` option changes between renders, so the
+// auto-start effect can tell a restart from a re-render
+const useDepsVersion = (deps) => {
+  const [tracked, setTracked] = useState({ deps, version: 0 });
+  if (!areDepsEqual(tracked.deps, deps)) {
+    const next = { deps, version: tracked.version + 1 };
+    setTracked(next);
+    return next.version;
   }
-}
+  return tracked.version;
+};
+
+const useThunkPoll = (
+  thunkAction,
+  maxAttemptsOrOptions,
+  interval,
+  validator,
+  extraOptions = {}
+) => {
+  const options = normalizePollArgs(
+    maxAttemptsOrOptions,
+    interval,
+    validator,
+    extraOptions
+  );
+  validatePollOptions(thunkAction, options);
 
-const useThunkPoll = (thunkAction, maxAttempts, interval, validator) => {
   const dispatch = useDispatch();
-  const [state, dispatchAction] = useReducer(pollingReducer, initialState);
+  const { key } = options;
+  // A shared poller calls every subscriber's lifecycle callbacks; the thunk,
+  // validator and other options come from whichever rendered last
+  const pollerOptions = {
+    ...options,
+    thunk: thunkAction,
+    dispatch,
+    ...(key != null && getSharedCallbacks(key)),
+  };
+  const callbacksRef = useRef(options);
 
-  const thunkActionRef = useRef(thunkAction);
-  const validatorRef = useRef(validator);
-  const intervalRef = useRef(interval);
-  const maxAttemptsRef = useRef(maxAttempts);
-  const timeoutRef = useRef(null);
-  const stateRef = useRef(state);
+  // Hooks sharing a key share one poller, and with it one loop and one state.
+  // With crossTab that poller also shares the loop with the other tabs. Only
+  // a different key calls for a different poller; options are synced below
+  // on every render, except crossTab which is read once.
+  const pollerRef = useRef(null);
+  if (pollerRef.current === null || pollerRef.current.key !== key) {
+    pollerRef.current = {
+      key,
+      poller:
+        key != null
+          ? getSharedPoller(key, () =>
+              options.crossTab
+                ? createCrossTabPoller(pollerOptions)
+                : createPoller(pollerOptions)
+            )
+          : createPoller(pollerOptions),
+    };
+  }
+  const { poller } = pollerRef.current;
 
   useEffect(() => {
-    stateRef.current = state;
-  }, [state]);
+    callbacksRef.current = options;
+    poller.setOptions(pollerOptions);
+  });
 
   useEffect(() => {
-    thunkActionRef.current = thunkAction;
-    validatorRef.current = validator;
-    intervalRef.current = interval;
-    maxAttemptsRef.current = maxAttempts;
-  }, [thunkAction, validator, interval, maxAttempts]);
-
-  const performPoll = useCallback(() => {
-    const currentState = stateRef.current;
-    if (!currentState.isPollingJobActive) return;
-
-    const handleNextPoll = () => {
-      if (
-        maxAttemptsRef.current != null &&
-        stateRef.current.attemptCount + 1 >= maxAttemptsRef.current
-      ) {
-        dispatchAction({ type: ActionTypes.MAX_ATTEMPTS_REACHED });
-      } else {
-        timeoutRef.current = setTimeout(performPoll, intervalRef.current);
-      }
+    if (key == null) return poller.connect();
+    const release = retainSharedPoller(key, poller, callbacksRef);
+    return () => {
+      release();
+      // The last subscriber takes the poll's polling slice entry with it
+      if (getSubscriberCount(key) === 0) dispatch(pollRemoved(key));
     };
+  }, [key, poller, dispatch]);
 
-    dispatchAction({ type: ActionTypes.POLL_INIT });
+  const state = useSyncExternalStore(poller.subscribe, poller.getState);
 
-    dispatch(thunkActionRef.current)
-      .then((result) => {
-        dispatchAction({ type: ActionTypes.POLL_RESULT, payload: result });
-        if (validatorRef?.current(result.payload)) {
-          dispatchAction({ type: ActionTypes.VALIDATION_SUCCESS });
-        } else {
-          handleNextPoll();
-        }
-      })
-      .catch((error) => {
-        dispatchAction({ type: ActionTypes.POLL_RESULT, payload: { error } });
-        handleNextPoll();
-      });
-  }, [dispatch]);
+  // With `enabled`, the hook starts the job itself, restarts it when `deps`
+  // (or the key) change and stops it when `enabled` turns false. Unmounting
+  // is already covered by connect/retainSharedPoller above.
+  const { enabled } = options;
+  const depsVersion = useDepsVersion(options.deps);
+  const autoStartRef = useRef(null);
 
   useEffect(() => {
-    if (state.isPollingJobActive) {
-      performPoll();
+    const previous = autoStartRef.current;
+    if (!enabled) {
+      if (previous?.poller === poller) poller.stop();
+      autoStartRef.current = null;
+      return;
     }
-    return () => {
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
-      }
-    };
-  }, [state.isPollingJobActive, performPoll]);
 
-  const startPolling = useCallback(() => {
-    dispatchAction({ type: ActionTypes.START_POLLING });
-  }, []);
-
-  const stopPolling = useCallback(() => {
-    if (timeoutRef.current) {
-      clearTimeout(timeoutRef.current);
+    autoStartRef.current = { poller, depsVersion };
+    if (previous?.poller === poller && previous.depsVersion !== depsVersion) {
+      poller.stop();
+    }
+    // A shared job another subscriber already runs is joined, not restarted
+    // Nobody holds this promise, so rejectOnFailure must not turn its
+    // outcome into an unhandled rejection
+    if (!poller.getState().isPollingJobActive) {
+      poller.start().catch(() => {});
     }
-    dispatchAction({ type: ActionTypes.STOP_POLLING });
-  }, []);
+  }, [enabled, poller, depsVersion]);
+
+  const startPolling = useCallback(() => poller.start(), [poller]);
+  const extendPolling = useCallback(
+    (extraAttempts) => poller.extend(extraAttempts),
+    [poller]
+  );
+  const stopPolling = useCallback(() => poller.stop(), [poller]);
+  const resetPolling = useCallback(() => poller.reset(), [poller]);
+  const pausePolling = useCallback(() => poller.pause(), [poller]);
+  const resumePolling = useCallback(() => poller.resume(), [poller]);
+  const pollNow = useCallback(() => poller.pollNow(), [poller]);
 
   return {
     ...state,
     startPolling,
+    extendPolling,
     stopPolling,
+    resetPolling,
+    pausePolling,
+    resumePolling,
+    pollNow,
   };
 };
 
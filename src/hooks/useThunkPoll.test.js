@@ -144,48 +144,1966 @@ describe("useThunkPoll", () => {
     });
   });
 
+  describe("Validation Failure", () => {
+    it("should end the job as failed when the validator fails it", async () => {
+      mockDispatch.mockResolvedValue({ payload: { status: "rejected" } });
+      mockValidator.mockReturnValue({
+        status: "fail",
+        reason: "Post was rejected",
+      });
+      const onFailure = jest.fn();
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, { ...defaultParams, onFailure })
+      );
+
+      let outcome;
+      await act(async () => {
+        outcome = result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.validationStatus).toBe("failed");
+      expect(result.current.failureReason).toBe("Post was rejected");
+      expect(result.current.isPollingJobActive).toBe(false);
+      expect(result.current.attemptCount).toBe(1);
+      expect(jest.getTimerCount()).toBe(0);
+      expect(onFailure).toHaveBeenCalledWith(
+        "Post was rejected",
+        { payload: { status: "rejected" } },
+        1
+      );
+      await expect(outcome).resolves.toEqual(
+        expect.objectContaining({
+          status: "failed",
+          failureReason: "Post was rejected",
+        })
+      );
+    });
+
+    it("should keep polling on continue and succeed on success", async () => {
+      mockValidator
+        .mockReturnValueOnce("continue")
+        .mockReturnValueOnce("success");
+
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      expect(result.current.isPollingJobActive).toBe(true);
+
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.validationStatus).toBe("success");
+      expect(result.current.failureReason).toBe(null);
+    });
+
+    it("should clear the failure reason when a new job starts", async () => {
+      mockValidator.mockReturnValue("fail");
+
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      expect(result.current.validationStatus).toBe("failed");
+
+      act(() => {
+        result.current.startPolling();
+      });
+
+      expect(result.current.validationStatus).toBe(null);
+      expect(result.current.failureReason).toBe(null);
+    });
+  });
+
   describe("Max Attempts Reached", () => {
     it("should stop polling when max attempts is reached", async () => {
       const mockResult = { payload: { data: "test" } };
       mockDispatch.mockResolvedValue(mockResult);
       mockValidator.mockReturnValue(false); // Always fail validation
 
-      const { result } = renderHook(
-        () => useThunkPoll(mockThunkAction, 1, 100, mockValidator) // Use 1 attempt for simpler test
+      const { result } = renderHook(
+        () => useThunkPoll(mockThunkAction, 1, 100, mockValidator) // Use 1 attempt for simpler test
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.attemptCount).toBe(1);
+      expect(result.current.validationStatus).toBe("max_attempts_reached");
+      expect(result.current.isPollingJobActive).toBe(false);
+    });
+  });
+
+  describe("Continuous Polling", () => {
+    it("should continue polling when validator returns false", async () => {
+      const mockResult = { payload: { data: "test" } };
+      mockDispatch.mockResolvedValue(mockResult);
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 500, mockValidator)
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      // Should have made at least one attempt and still be active
+      expect(result.current.attemptCount).toBeGreaterThanOrEqual(1);
+      expect(result.current.isPollingJobActive).toBe(true);
+      expect(mockDispatch).toHaveBeenCalled();
+    });
+  });
+
+  describe("Backoff", () => {
+    it("should space attempts using the configured backoff strategy", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 5, 1000, mockValidator, {
+          backoff: "exponential",
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+
+      // First wait is the base interval
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+
+      // Second wait doubles
+      await act(async () => {
+        jest.advanceTimersByTime(1999);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+
+      await act(async () => {
+        jest.advanceTimersByTime(1);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(3);
+    });
+
+    it("should pass attempt and last result to a custom backoff function", async () => {
+      const mockResult = { payload: { data: "test" } };
+      mockDispatch.mockResolvedValue(mockResult);
+      mockValidator.mockReturnValue(false);
+      const backoff = jest.fn().mockReturnValue(50);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 5, 1000, mockValidator, {
+          backoff,
+          minInterval: 200,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(backoff).toHaveBeenCalledWith(1, mockResult);
+
+      // minInterval wins over the 50ms returned by the custom function
+      await act(async () => {
+        jest.advanceTimersByTime(199);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+
+      await act(async () => {
+        jest.advanceTimersByTime(1);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("Timeout", () => {
+    it("should time out between attempts", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator, {
+          timeout: 2500,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      expect(result.current.attemptCount).toBe(2);
+
+      await act(async () => {
+        jest.advanceTimersByTime(1500);
+      });
+
+      expect(result.current.validationStatus).toBe("timed_out");
+      expect(result.current.isPollingJobActive).toBe(false);
+
+      // Attempts at 0ms, 1000ms and 2000ms - none after the deadline
+      await act(async () => {
+        jest.advanceTimersByTime(5000);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(3);
+    });
+
+    it("should time out while waiting on a request and ignore its late result", async () => {
+      let resolveDispatch;
+      mockDispatch.mockReturnValue(
+        new Promise((resolve) => {
+          resolveDispatch = resolve;
+        })
+      );
+      mockValidator.mockReturnValue(true);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 1000, mockValidator, {
+          timeout: 500,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+      });
+      expect(result.current.isPolling).toBe(true);
+
+      act(() => {
+        jest.advanceTimersByTime(500);
+      });
+
+      expect(result.current.validationStatus).toBe("timed_out");
+      expect(result.current.isPolling).toBe(false);
+
+      await act(async () => {
+        resolveDispatch({ payload: { data: "late" } });
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.validationStatus).toBe("timed_out");
+      expect(result.current.attemptCount).toBe(0);
+      expect(mockValidator).not.toHaveBeenCalled();
+    });
+
+    it("should not time out once the job has succeeded", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(true);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 1000, mockValidator, {
+          timeout: 500,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      act(() => {
+        jest.advanceTimersByTime(1000);
+      });
+
+      expect(result.current.validationStatus).toBe("success");
+    });
+  });
+
+  describe("Aborting In-Flight Requests", () => {
+    const mockPendingRequest = () => {
+      const request = new Promise(() => {});
+      request.abort = jest.fn();
+      mockDispatch.mockReturnValue(request);
+      return request;
+    };
+
+    it("should abort the pending thunk promise on stopPolling", async () => {
+      const request = mockPendingRequest();
+
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+      });
+
+      act(() => {
+        result.current.stopPolling();
+      });
+
+      expect(request.abort).toHaveBeenCalledTimes(1);
+    });
+
+    it("should abort the pending thunk promise on unmount", async () => {
+      const request = mockPendingRequest();
+
+      const { result, unmount } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+      });
+
+      unmount();
+
+      expect(request.abort).toHaveBeenCalledTimes(1);
+    });
+
+    it("should abort the pending thunk promise when the job times out", async () => {
+      const request = mockPendingRequest();
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 1000, mockValidator, {
+          timeout: 500,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+      });
+
+      act(() => {
+        jest.advanceTimersByTime(500);
+      });
+
+      expect(request.abort).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not schedule another poll when an aborted request settles", async () => {
+      let rejectDispatch;
+      const request = new Promise((resolve, reject) => {
+        rejectDispatch = reject;
+      });
+      request.abort = jest.fn(() => rejectDispatch(new Error("Aborted")));
+      mockDispatch.mockReturnValue(request);
+
+      const { result, unmount } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      act(() => {
+        result.current.startPolling();
+      });
+
+      await act(async () => {
+        unmount();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe("Visibility", () => {
+    let visibilityState;
+
+    const setVisibility = (value) => {
+      visibilityState = value;
+      document.dispatchEvent(new Event("visibilitychange"));
+    };
+
+    beforeEach(() => {
+      visibilityState = "visible";
+      jest
+        .spyOn(document, "visibilityState", "get")
+        .mockImplementation(() => visibilityState);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const startHiddenAwarePoll = async (options = {}) => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+
+      const hook = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator, {
+          pauseWhenHidden: true,
+          ...options,
+        })
+      );
+
+      await act(async () => {
+        hook.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      return hook;
+    };
+
+    it("should not poll while the page is hidden", async () => {
+      const { result } = await startHiddenAwarePoll();
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+
+      act(() => {
+        jest.advanceTimersByTime(400);
+        setVisibility("hidden");
+      });
+      expect(result.current.isHidden).toBe(true);
+      expect(result.current.isPollingJobActive).toBe(true);
+
+      act(() => {
+        jest.advanceTimersByTime(10000);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+
+      // Resumes with whatever was left of the interval
+      act(() => {
+        setVisibility("visible");
+      });
+      expect(result.current.isHidden).toBe(false);
+
+      act(() => {
+        jest.advanceTimersByTime(599);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+
+      act(() => {
+        jest.advanceTimersByTime(1);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should poll right away on resume when pollOnResume is set", async () => {
+      await startHiddenAwarePoll({ pollOnResume: true });
+
+      act(() => {
+        setVisibility("hidden");
+      });
+      act(() => {
+        window.dispatchEvent(new Event("focus"));
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+
+      act(() => {
+        setVisibility("visible");
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should not count hidden time toward the timeout", async () => {
+      const { result } = await startHiddenAwarePoll({ timeout: 3000 });
+
+      act(() => {
+        jest.advanceTimersByTime(500);
+        setVisibility("hidden");
+      });
+      act(() => {
+        jest.advanceTimersByTime(60000);
+      });
+      expect(result.current.validationStatus).toBe(null);
+
+      act(() => {
+        setVisibility("visible");
+      });
+      await act(async () => {
+        jest.advanceTimersByTime(2499);
+      });
+      expect(result.current.validationStatus).toBe(null);
+
+      await act(async () => {
+        jest.advanceTimersByTime(1);
+      });
+      expect(result.current.validationStatus).toBe("timed_out");
+    });
+
+    it("should wait for the page to become visible before the first attempt", async () => {
+      visibilityState = "hidden";
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator, {
+          pauseWhenHidden: true,
+        })
+      );
+
+      act(() => {
+        result.current.startPolling();
+      });
+      expect(result.current.isHidden).toBe(true);
+      expect(mockDispatch).not.toHaveBeenCalled();
+
+      act(() => {
+        setVisibility("visible");
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should ignore visibility when pauseWhenHidden is not set", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator)
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      act(() => {
+        setVisibility("hidden");
+      });
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+      });
+
+      expect(result.current.isHidden).toBe(false);
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("Connectivity", () => {
+    let onLine;
+
+    const setOnline = (value) => {
+      onLine = value;
+      window.dispatchEvent(new Event(value ? "online" : "offline"));
+    };
+
+    beforeEach(() => {
+      onLine = true;
+      jest.spyOn(navigator, "onLine", "get").mockImplementation(() => onLine);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should suspend polling while offline and resume when back online", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator)
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      act(() => {
+        setOnline(false);
+      });
+      expect(result.current.isOffline).toBe(true);
+
+      act(() => {
+        jest.advanceTimersByTime(10000);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(result.current.attemptCount).toBe(1);
+
+      act(() => {
+        setOnline(true);
+      });
+      expect(result.current.isOffline).toBe(false);
+
+      act(() => {
+        jest.advanceTimersByTime(1000);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should report offline from the start and keep the flag across jobs", () => {
+      onLine = false;
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator)
+      );
+      expect(result.current.isOffline).toBe(true);
+
+      act(() => {
+        result.current.startPolling();
+      });
+
+      expect(result.current.isOffline).toBe(true);
+      expect(result.current.isPollingJobActive).toBe(true);
+      expect(mockDispatch).not.toHaveBeenCalled();
+    });
+
+    it("should keep polling offline when pauseWhenOffline is false", async () => {
+      onLine = false;
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator, {
+          pauseWhenOffline: false,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+      });
+
+      expect(result.current.isOffline).toBe(false);
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("Pause and Resume", () => {
+    const startPoll = async (options) => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+
+      const hook = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator, options)
+      );
+
+      await act(async () => {
+        hook.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      return hook;
+    };
+
+    it("should keep the job's progress while paused", async () => {
+      const { result } = await startPoll();
+
+      act(() => {
+        result.current.pausePolling();
+      });
+
+      expect(result.current.isPaused).toBe(true);
+      expect(result.current.isPollingJobActive).toBe(true);
+      expect(result.current.attemptCount).toBe(1);
+      expect(result.current.lastResult).toEqual({ payload: { data: "test" } });
+
+      act(() => {
+        jest.advanceTimersByTime(10000);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+
+      await act(async () => {
+        result.current.resumePolling();
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.isPaused).toBe(false);
+      expect(result.current.attemptCount).toBe(2);
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should keep the remaining time budget while paused", async () => {
+      const { result } = await startPoll({ timeout: 1500 });
+
+      act(() => {
+        jest.advanceTimersByTime(500);
+        result.current.pausePolling();
+      });
+      act(() => {
+        jest.advanceTimersByTime(60000);
+      });
+      expect(result.current.validationStatus).toBe(null);
+
+      act(() => {
+        result.current.resumePolling();
+      });
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+      });
+
+      expect(result.current.validationStatus).toBe("timed_out");
+    });
+
+    it("should clear the paused flag when the job is stopped", async () => {
+      const { result } = await startPoll();
+
+      act(() => {
+        result.current.pausePolling();
+      });
+      act(() => {
+        result.current.stopPolling();
+      });
+
+      expect(result.current.isPaused).toBe(false);
+      expect(result.current.isPollingJobActive).toBe(false);
+    });
+
+    it("should wake a paused job up when polling is restarted", async () => {
+      const { result } = await startPoll();
+
+      act(() => {
+        result.current.pausePolling();
+      });
+      act(() => {
+        result.current.startPolling();
+      });
+
+      expect(result.current.isPaused).toBe(false);
+      expect(result.current.attemptCount).toBe(0);
+
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should ignore pausePolling when no job is active", () => {
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      act(() => {
+        result.current.pausePolling();
+      });
+
+      expect(result.current.isPaused).toBe(false);
+    });
+  });
+
+  describe("Lifecycle Callbacks", () => {
+    it("should fire attempt, result, success and settled callbacks once each", async () => {
+      const mockResult = { payload: { data: "test" } };
+      mockDispatch.mockResolvedValue(mockResult);
+      mockValidator.mockReturnValue(true);
+      const calls = [];
+      const callbacks = {
+        onAttempt: jest.fn(() => calls.push("attempt")),
+        onResult: jest.fn(() => calls.push("result")),
+        onSuccess: jest.fn(() => calls.push("success")),
+        onSettled: jest.fn(() => calls.push("settled")),
+      };
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 1000, mockValidator, callbacks)
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(calls).toEqual(["attempt", "result", "success", "settled"]);
+      expect(callbacks.onAttempt).toHaveBeenCalledWith(1);
+      expect(callbacks.onResult).toHaveBeenCalledWith(mockResult, 1);
+      expect(callbacks.onSuccess).toHaveBeenCalledWith(mockResult, 1);
+      expect(callbacks.onSettled).toHaveBeenCalledWith({
+        status: "success",
+        attemptCount: 1,
+        lastResult: mockResult,
+      });
+    });
+
+    it("should fire onMaxAttempts with the last result and attempt", async () => {
+      const mockResult = { payload: { data: "test" } };
+      mockDispatch.mockResolvedValue(mockResult);
+      mockValidator.mockReturnValue(false);
+      const onMaxAttempts = jest.fn();
+      const onSettled = jest.fn();
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 2, 1000, mockValidator, {
+          onMaxAttempts,
+          onSettled,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(onMaxAttempts).toHaveBeenCalledTimes(1);
+      expect(onMaxAttempts).toHaveBeenCalledWith(mockResult, 2);
+      expect(onSettled).toHaveBeenCalledTimes(1);
+      expect(onSettled).toHaveBeenCalledWith({
+        status: "max_attempts_reached",
+        attemptCount: 2,
+        lastResult: mockResult,
+      });
+    });
+
+    it("should fire onError for every failed attempt", async () => {
+      const error = new Error("Network error");
+      mockDispatch.mockRejectedValue(error);
+      const onError = jest.fn();
+      const onSettled = jest.fn();
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 5, 1000, mockValidator, {
+          maxConsecutiveErrors: 2,
+          onError,
+          onSettled,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(onError).toHaveBeenCalledTimes(2);
+      expect(onError).toHaveBeenNthCalledWith(1, error, 1, { error });
+      expect(onError).toHaveBeenNthCalledWith(2, error, 2, { error });
+      expect(onSettled).toHaveBeenCalledTimes(1);
+      expect(onSettled).toHaveBeenCalledWith(
+        expect.objectContaining({ status: "error", attemptCount: 2 })
+      );
+    });
+
+    it("should report stopped and timed out jobs through onSettled only once", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+      const onSettled = jest.fn();
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 5, 1000, mockValidator, {
+          timeout: 5000,
+          onSettled,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      act(() => {
+        result.current.stopPolling();
+        result.current.stopPolling();
+      });
+      expect(onSettled).toHaveBeenCalledTimes(1);
+      expect(onSettled).toHaveBeenLastCalledWith({
+        status: "stopped",
+        attemptCount: 1,
+        lastResult: { payload: { data: "test" } },
+      });
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      act(() => {
+        jest.advanceTimersByTime(5000);
+      });
+
+      expect(onSettled).toHaveBeenCalledTimes(2);
+      expect(onSettled).toHaveBeenLastCalledWith(
+        expect.objectContaining({ status: "timed_out" })
+      );
+    });
+
+    it("should use the latest inline callbacks without restarting the job", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+      const firstOnAttempt = jest.fn();
+      const secondOnAttempt = jest.fn();
+
+      const { result, rerender } = renderHook(
+        ({ onAttempt }) =>
+          useThunkPoll(mockThunkAction, 5, 1000, mockValidator, {
+            onAttempt: (attempt) => onAttempt(attempt),
+          }),
+        { initialProps: { onAttempt: firstOnAttempt } }
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      rerender({ onAttempt: secondOnAttempt });
+
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+      });
+
+      expect(firstOnAttempt).toHaveBeenCalledTimes(1);
+      expect(secondOnAttempt).toHaveBeenCalledTimes(1);
+      expect(secondOnAttempt).toHaveBeenCalledWith(2);
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should keep polling when a callback throws", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(true);
+      const consoleSpy = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 1000, mockValidator, {
+          onResult: () => {
+            throw new Error("boom");
+          },
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.validationStatus).toBe("success");
+      expect(consoleSpy).toHaveBeenCalledWith(
+        "useThunkPoll: onResult callback threw",
+        expect.any(Error)
+      );
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe("Awaiting startPolling", () => {
+    it("should resolve with the outcome when the job succeeds", async () => {
+      const mockResult = { payload: { data: "test" } };
+      mockDispatch.mockResolvedValue(mockResult);
+      mockValidator.mockReturnValue(true);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 1000, mockValidator)
+      );
+
+      let promise;
+      await act(async () => {
+        promise = result.current.startPolling();
+      });
+      const outcome = await promise;
+
+      expect(outcome).toEqual({
+        status: "success",
+        attemptCount: 1,
+        lastResult: mockResult,
+      });
+    });
+
+    it("should resolve when max attempts are reached", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 1, 1000, mockValidator)
+      );
+
+      let promise;
+      await act(async () => {
+        promise = result.current.startPolling();
+      });
+      const outcome = await promise;
+
+      expect(outcome.status).toBe("max_attempts_reached");
+      expect(outcome.attemptCount).toBe(1);
+    });
+
+    it("should resolve with a stopped status when the job is stopped", async () => {
+      mockDispatch.mockReturnValue(new Promise(() => {}));
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 1000, mockValidator)
+      );
+
+      let promise;
+      act(() => {
+        promise = result.current.startPolling();
+      });
+      act(() => {
+        result.current.stopPolling();
+      });
+
+      await expect(promise).resolves.toEqual({
+        status: "stopped",
+        attemptCount: 0,
+        lastResult: null,
+      });
+    });
+
+    it("should resolve with a stopped status when the component unmounts", async () => {
+      mockDispatch.mockReturnValue(new Promise(() => {}));
+
+      const { result, unmount } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 1000, mockValidator)
+      );
+
+      let promise;
+      act(() => {
+        promise = result.current.startPolling();
+      });
+      unmount();
+
+      await expect(promise).resolves.toEqual(
+        expect.objectContaining({ status: "stopped" })
+      );
+    });
+
+    it("should reject non-success outcomes when rejectOnFailure is set", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 1, 1000, mockValidator, {
+          rejectOnFailure: true,
+        })
+      );
+
+      let promise;
+      await act(async () => {
+        promise = result.current.startPolling().catch((e) => e);
+      });
+      const error = await promise;
+
+      expect(error.message).toBe(
+        'Polling ended with status "max_attempts_reached"'
+      );
+      expect(error.outcome).toEqual({
+        status: "max_attempts_reached",
+        attemptCount: 1,
+        lastResult: { payload: { data: "test" } },
+      });
+    });
+
+    it("should still resolve successes when rejectOnFailure is set", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(true);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 1, 1000, mockValidator, {
+          rejectOnFailure: true,
+        })
+      );
+
+      let promise;
+      await act(async () => {
+        promise = result.current.startPolling();
+      });
+      const outcome = await promise;
+
+      expect(outcome.status).toBe("success");
+    });
+  });
+
+  describe("Attempt History", () => {
+    it("should record every attempt with timings, outcome and summary", async () => {
+      let resolveFirst;
+      mockDispatch
+        .mockReturnValueOnce(
+          new Promise((resolve) => {
+            resolveFirst = resolve;
+          })
+        )
+        .mockRejectedValueOnce(new Error("Network error"))
+        .mockResolvedValueOnce({ payload: [1, 2, 3] });
+      mockValidator.mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, { ...defaultParams, historySize: 10 })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+      });
+      const startedAt = Date.now();
+
+      await act(async () => {
+        jest.advanceTimersByTime(250);
+        resolveFirst({ payload: { id: 1, title: "Post" } });
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      for (let i = 0; i < 2; i += 1) {
+        await act(async () => {
+          jest.advanceTimersByTime(1000);
+          await Promise.resolve();
+          await Promise.resolve();
+        });
+      }
+
+      expect(result.current.validationStatus).toBe("success");
+      expect(result.current.history).toEqual([
+        {
+          attempt: 1,
+          startedAt,
+          endedAt: startedAt + 250,
+          duration: 250,
+          outcome: "continued",
+          summary: "{ id, title }",
+        },
+        expect.objectContaining({
+          attempt: 2,
+          duration: 0,
+          outcome: "error",
+          summary: "Network error",
+        }),
+        expect.objectContaining({
+          attempt: 3,
+          outcome: "validated",
+          summary: "Array(3)",
+        }),
+      ]);
+    });
+
+    it("should keep only the latest historySize entries", async () => {
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          ...defaultParams,
+          maxAttempts: 5,
+          historySize: 2,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      for (let i = 0; i < 4; i += 1) {
+        await act(async () => {
+          jest.advanceTimersByTime(1000);
+          await Promise.resolve();
+          await Promise.resolve();
+        });
+      }
+
+      expect(result.current.attemptCount).toBe(5);
+      expect(result.current.history.map(({ attempt }) => attempt)).toEqual([
+        4, 5,
+      ]);
+    });
+
+    it("should not record anything unless historySize is set", async () => {
+      mockValidator.mockReturnValue(true);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.history).toEqual([]);
+    });
+  });
+
+  describe("Next Poll and Poll Now", () => {
+    const startWaitingPoll = async (options = {}) => {
+      mockValidator.mockReturnValue(false);
+      const hook = renderHook(() =>
+        useThunkPoll(mockThunkAction, { ...defaultParams, ...options })
+      );
+
+      await act(async () => {
+        hook.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      return hook;
+    };
+
+    it("should expose when the next attempt is due", async () => {
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+      expect(result.current.nextPollAt).toBe(null);
+
+      mockValidator.mockReturnValue(false);
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.nextPollAt).toBe(Date.now() + 1000);
+
+      act(() => {
+        result.current.stopPolling();
+      });
+
+      expect(result.current.nextPollAt).toBe(null);
+    });
+
+    it("should clear nextPollAt while an attempt is in flight", async () => {
+      const { result } = await startWaitingPoll();
+      mockDispatch.mockReturnValue(new Promise(() => {}));
+
+      act(() => {
+        jest.advanceTimersByTime(1000);
+      });
+
+      expect(result.current.isPolling).toBe(true);
+      expect(result.current.nextPollAt).toBe(null);
+    });
+
+    it("should clear nextPollAt while paused and set it again on resume", async () => {
+      const { result } = await startWaitingPoll();
+
+      act(() => {
+        jest.advanceTimersByTime(400);
+        result.current.pausePolling();
+      });
+      expect(result.current.nextPollAt).toBe(null);
+
+      act(() => {
+        result.current.resumePolling();
+      });
+      expect(result.current.nextPollAt).toBe(Date.now() + 600);
+    });
+
+    it("should poll right away on pollNow without resetting the job", async () => {
+      const { result } = await startWaitingPoll();
+
+      await act(async () => {
+        jest.advanceTimersByTime(300);
+        result.current.pollNow();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+      expect(result.current.attemptCount).toBe(2);
+      expect(result.current.isPollingJobActive).toBe(true);
+      expect(result.current.nextPollAt).toBe(Date.now() + 1000);
+
+      // The old timeout was cancelled, so nothing runs at the original time
+      act(() => {
+        jest.advanceTimersByTime(700);
+      });
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should ignore pollNow while idle or while a request is in flight", async () => {
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      act(() => {
+        result.current.pollNow();
+      });
+      expect(mockDispatch).not.toHaveBeenCalled();
+
+      mockDispatch.mockReturnValue(new Promise(() => {}));
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+      });
+      act(() => {
+        result.current.pollNow();
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not run the first attempt twice when pollNow follows startPolling", async () => {
+      mockValidator.mockReturnValue(false);
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        result.current.pollNow();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(result.current.attemptCount).toBe(1);
+    });
+  });
+
+  describe("Extend and Reset", () => {
+    const runOutOfAttempts = async (options = {}) => {
+      mockValidator.mockReturnValue(false);
+      const hook = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          ...defaultParams,
+          maxAttempts: 2,
+          ...options,
+        })
+      );
+
+      await act(async () => {
+        hook.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      return hook;
+    };
+
+    it("should reopen a finished job and keep its progress", async () => {
+      const { result } = await runOutOfAttempts({ historySize: 10 });
+      expect(result.current.validationStatus).toBe("max_attempts_reached");
+
+      let outcome;
+      await act(async () => {
+        outcome = result.current.extendPolling(2);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.isPollingJobActive).toBe(true);
+      expect(result.current.validationStatus).toBe(null);
+      expect(result.current.attemptCount).toBe(3);
+      expect(result.current.history).toHaveLength(3);
+
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(4);
+      await expect(outcome).resolves.toEqual(
+        expect.objectContaining({
+          status: "max_attempts_reached",
+          attemptCount: 4,
+        })
+      );
+    });
+
+    it("should give a job stopped on errors a fresh error count", async () => {
+      mockDispatch.mockRejectedValue(new Error("Network error"));
+      const { result } = await runOutOfAttempts({ maxConsecutiveErrors: 1 });
+      expect(result.current.validationStatus).toBe("error");
+
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(true);
+      await act(async () => {
+        result.current.extendPolling(1);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.validationStatus).toBe("success");
+      expect(result.current.attemptCount).toBe(2);
+      expect(result.current.consecutiveErrors).toBe(0);
+    });
+
+    it("should raise the budget of a running job", async () => {
+      mockValidator.mockReturnValue(false);
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, { ...defaultParams, maxAttempts: 1 })
+      );
+
+      mockDispatch.mockReturnValueOnce(
+        Promise.resolve({ payload: { data: "test" } })
+      );
+      await act(async () => {
+        result.current.startPolling();
+        result.current.extendPolling(1);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.isPollingJobActive).toBe(true);
+      expect(result.current.attemptCount).toBe(1);
+    });
+
+    it("should reject an invalid number of extra attempts", async () => {
+      const { result } = await runOutOfAttempts();
+
+      expect(() => result.current.extendPolling(0)).toThrow(
+        "extendPolling: extraAttempts must be a positive integer, received 0"
+      );
+    });
+
+    it("should clear everything back to idle on resetPolling", async () => {
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+      mockValidator.mockReturnValue(false);
+
+      let outcome;
+      await act(async () => {
+        outcome = result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      act(() => {
+        result.current.resetPolling();
+      });
+
+      expect(result.current).toEqual(
+        expect.objectContaining({
+          isPollingJobActive: false,
+          attemptCount: 0,
+          lastResult: null,
+          validationStatus: null,
+          nextPollAt: null,
+        })
+      );
+      expect(jest.getTimerCount()).toBe(0);
+      await expect(outcome).resolves.toEqual(
+        expect.objectContaining({ status: "stopped", attemptCount: 1 })
+      );
+    });
+  });
+
+  describe("Options Object Signature", () => {
+    it("should accept maxAttempts, interval and validator in an options object", async () => {
+      const mockResult = { payload: { data: "test" } };
+      mockDispatch.mockResolvedValue(mockResult);
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          maxAttempts: 2,
+          interval: 500,
+          validator: mockValidator,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      await act(async () => {
+        jest.advanceTimersByTime(500);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(mockValidator).toHaveBeenCalledWith(mockResult.payload);
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+      expect(result.current.validationStatus).toBe("max_attempts_reached");
+    });
+
+    it("should throw a clear error for invalid options", () => {
+      const consoleSpy = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+
+      expect(() =>
+        renderHook(() =>
+          useThunkPoll(mockThunkAction, {
+            maxAttempts: 3,
+            interval: -100,
+            validator: mockValidator,
+          })
+        )
+      ).toThrow(
+        "useThunkPoll: interval must be a non-negative number, received -100"
+      );
+      expect(() =>
+        renderHook(() => useThunkPoll(mockThunkAction, 3, 1000, "valid"))
+      ).toThrow("useThunkPoll: validator must be a function, received string");
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe("Store-backed State", () => {
+    it("should mirror every transition into the polling slice when keyed", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(true);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          key: "posts",
+          maxAttempts: 3,
+          interval: 1000,
+          validator: mockValidator,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      const syncedEvents = mockDispatch.mock.calls
+        .map(([action]) => action)
+        .filter((action) => action?.type === "polling/pollStateSynced")
+        .map((action) => action.payload.event);
+      expect(syncedEvents).toEqual([
+        "START_POLLING",
+        "POLL_INIT",
+        "POLL_RESULT",
+        "VALIDATION_SUCCESS",
+      ]);
+      expect(mockDispatch).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          payload: expect.objectContaining({
+            key: "posts",
+            snapshot: expect.objectContaining({
+              validationStatus: "success",
+              attemptCount: 1,
+            }),
+          }),
+        })
+      );
+    });
+
+    it("should not touch the store when no key is given", async () => {
+      mockDispatch.mockResolvedValue({ payload: { data: "test" } });
+      mockValidator.mockReturnValue(true);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(...Object.values(defaultParams))
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(mockDispatch).toHaveBeenCalledWith(mockThunkAction);
+    });
+  });
+
+  describe("Shared Polls", () => {
+    const sharedOptions = {
+      key: "shared",
+      maxAttempts: 5,
+      interval: 1000,
+    };
+    const thunkDispatchCount = () =>
+      mockDispatch.mock.calls.filter(([action]) => action === mockThunkAction)
+        .length;
+
+    it("should run one loop for hooks that share a key", async () => {
+      mockValidator.mockReturnValue(false);
+      const options = { ...sharedOptions, validator: mockValidator };
+
+      const first = renderHook(() => useThunkPoll(mockThunkAction, options));
+      const second = renderHook(() => useThunkPoll(mockThunkAction, options));
+
+      await act(async () => {
+        first.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(thunkDispatchCount()).toBe(1);
+      expect(first.result.current.attemptCount).toBe(1);
+      expect(second.result.current.attemptCount).toBe(1);
+      expect(second.result.current.isPollingJobActive).toBe(true);
+
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(thunkDispatchCount()).toBe(2);
+      expect(second.result.current.attemptCount).toBe(2);
+    });
+
+    it("should keep polling until the last subscriber unmounts", async () => {
+      mockValidator.mockReturnValue(false);
+      const options = { ...sharedOptions, validator: mockValidator };
+
+      const first = renderHook(() => useThunkPoll(mockThunkAction, options));
+      const second = renderHook(() => useThunkPoll(mockThunkAction, options));
+
+      await act(async () => {
+        second.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      first.unmount();
+
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(thunkDispatchCount()).toBe(2);
+      expect(second.result.current.isPollingJobActive).toBe(true);
+
+      second.unmount();
+
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it("should drop the polling slice entry when the last subscriber unmounts", () => {
+      const options = { ...sharedOptions, validator: mockValidator };
+      const removed = () =>
+        mockDispatch.mock.calls.filter(
+          ([action]) =>
+            action?.type === "polling/pollRemoved" &&
+            action.payload === "shared"
+        ).length;
+
+      const first = renderHook(() => useThunkPoll(mockThunkAction, options));
+      const second = renderHook(() => useThunkPoll(mockThunkAction, options));
+
+      first.unmount();
+      expect(removed()).toBe(0);
+
+      second.unmount();
+      expect(removed()).toBe(1);
+    });
+
+    it("should call every subscriber's lifecycle callbacks once", async () => {
+      mockValidator.mockReturnValue(true);
+      const firstOnSuccess = jest.fn();
+      const secondOnSuccess = jest.fn();
+
+      const first = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          ...sharedOptions,
+          validator: mockValidator,
+          onSuccess: firstOnSuccess,
+        })
+      );
+      renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          ...sharedOptions,
+          validator: mockValidator,
+          onSuccess: secondOnSuccess,
+        })
+      );
+
+      await act(async () => {
+        first.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(firstOnSuccess).toHaveBeenCalledTimes(1);
+      expect(secondOnSuccess).toHaveBeenCalledTimes(1);
+    });
+
+    it("should let any subscriber stop the shared job", async () => {
+      mockValidator.mockReturnValue(false);
+      const options = { ...sharedOptions, validator: mockValidator };
+
+      const first = renderHook(() => useThunkPoll(mockThunkAction, options));
+      const second = renderHook(() => useThunkPoll(mockThunkAction, options));
+
+      await act(async () => {
+        first.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      act(() => {
+        second.result.current.stopPolling();
+      });
+
+      expect(first.result.current.isPollingJobActive).toBe(false);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it("should not share loops between different keys", async () => {
+      mockValidator.mockReturnValue(false);
+
+      const first = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          ...sharedOptions,
+          validator: mockValidator,
+        })
+      );
+      const second = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          ...sharedOptions,
+          key: "other",
+          validator: mockValidator,
+        })
+      );
+
+      await act(async () => {
+        first.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(thunkDispatchCount()).toBe(1);
+      expect(second.result.current.isPollingJobActive).toBe(false);
+    });
+  });
+
+  describe("Enabled and Deps", () => {
+    const thunkDispatchCount = (thunk = mockThunkAction) =>
+      mockDispatch.mock.calls.filter(([action]) => action === thunk).length;
+
+    it("should start by itself when enabled", async () => {
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          ...defaultParams,
+          enabled: true,
+        })
       );
 
       await act(async () => {
-        result.current.startPolling();
         await Promise.resolve();
         await Promise.resolve();
       });
 
+      expect(result.current.isPollingJobActive).toBe(true);
       expect(result.current.attemptCount).toBe(1);
-      expect(result.current.validationStatus).toBe("max_attempts_reached");
+    });
+
+    it("should stop when disabled and start again when re-enabled", async () => {
+      mockValidator.mockReturnValue(false);
+
+      const { result, rerender } = renderHook(
+        ({ enabled }) =>
+          useThunkPoll(mockThunkAction, { ...defaultParams, enabled }),
+        { initialProps: { enabled: true } }
+      );
+
+      await act(async () => {
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      rerender({ enabled: false });
+
+      expect(result.current.isPollingJobActive).toBe(false);
+      expect(jest.getTimerCount()).toBe(0);
+
+      await act(async () => {
+        rerender({ enabled: true });
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.isPollingJobActive).toBe(true);
+      expect(result.current.attemptCount).toBe(1);
+      expect(thunkDispatchCount()).toBe(2);
+    });
+
+    it("should restart cleanly when deps change", async () => {
+      const request = new Promise(() => {});
+      request.abort = jest.fn();
+      mockDispatch.mockReturnValueOnce(request);
+      mockValidator.mockReturnValue(false);
+      const nextThunkAction = jest.fn();
+
+      const { result, rerender } = renderHook(
+        ({ thunkAction, id }) =>
+          useThunkPoll(thunkAction, {
+            ...defaultParams,
+            enabled: true,
+            deps: [id],
+          }),
+        { initialProps: { thunkAction: mockThunkAction, id: 1 } }
+      );
+
+      await act(async () => {
+        await Promise.resolve();
+      });
+
+      await act(async () => {
+        rerender({ thunkAction: nextThunkAction, id: 2 });
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(request.abort).toHaveBeenCalledTimes(1);
+      expect(thunkDispatchCount(nextThunkAction)).toBe(1);
+      expect(result.current.attemptCount).toBe(1);
+      expect(result.current.isPollingJobActive).toBe(true);
+    });
+
+    it("should not restart a finished job on re-render", async () => {
+      mockValidator.mockReturnValue(true);
+
+      const { result, rerender } = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          ...defaultParams,
+          enabled: true,
+          deps: [1],
+        })
+      );
+
+      await act(async () => {
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      rerender();
+
+      expect(result.current.validationStatus).toBe("success");
       expect(result.current.isPollingJobActive).toBe(false);
+      expect(thunkDispatchCount()).toBe(1);
+    });
+
+    it("should join a shared job that is already running", async () => {
+      mockValidator.mockReturnValue(false);
+      const options = { ...defaultParams, key: "joined", enabled: true };
+
+      const first = renderHook(() => useThunkPoll(mockThunkAction, options));
+      await act(async () => {
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      const second = renderHook(() => useThunkPoll(mockThunkAction, options));
+      await act(async () => {
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(thunkDispatchCount()).toBe(1);
+      expect(first.result.current.attemptCount).toBe(1);
+      expect(second.result.current.attemptCount).toBe(1);
+    });
+    it("should not leave an unhandled rejection when rejectOnFailure is set", async () => {
+      const unhandled = jest.fn();
+      process.on("unhandledRejection", unhandled);
+      mockValidator.mockReturnValue(false);
+
+      const { unmount } = renderHook(() =>
+        useThunkPoll(mockThunkAction, {
+          ...defaultParams,
+          enabled: true,
+          rejectOnFailure: true,
+        })
+      );
+      await act(async () => {
+        await Promise.resolve();
+      });
+      unmount();
+      // Unhandled rejections are reported once the microtask queue drains
+      await new Promise((resolve) => {
+        jest.requireActual("timers").setImmediate(resolve);
+      });
+
+      process.off("unhandledRejection", unhandled);
+      expect(unhandled).not.toHaveBeenCalled();
     });
   });
 
-  describe("Continuous Polling", () => {
-    it("should continue polling when validator returns false", async () => {
-      const mockResult = { payload: { data: "test" } };
-      mockDispatch.mockResolvedValue(mockResult);
+  describe("Persisted Jobs", () => {
+    afterEach(() => {
+      sessionStorage.clear();
+    });
+
+    it("should resume a job saved before a reload instead of restarting it", async () => {
       mockValidator.mockReturnValue(false);
+      const options = {
+        ...defaultParams,
+        maxAttempts: 5,
+        enabled: true,
+        persistKey: "report",
+      };
+
+      const first = renderHook(() => useThunkPoll(mockThunkAction, options));
+      await act(async () => {
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      expect(first.result.current.attemptCount).toBe(2);
+      first.unmount();
 
       const { result } = renderHook(() =>
-        useThunkPoll(mockThunkAction, 3, 500, mockValidator)
+        useThunkPoll(mockThunkAction, options)
       );
+      expect(result.current.isPollingJobActive).toBe(true);
+      expect(result.current.attemptCount).toBe(2);
 
       await act(async () => {
-        result.current.startPolling();
         await Promise.resolve();
         await Promise.resolve();
       });
+      expect(result.current.attemptCount).toBe(3);
+    });
 
-      // Should have made at least one attempt and still be active
-      expect(result.current.attemptCount).toBeGreaterThanOrEqual(1);
-      expect(result.current.isPollingJobActive).toBe(true);
-      expect(mockDispatch).toHaveBeenCalled();
+    it("should forget the saved job once it is stopped", async () => {
+      mockValidator.mockReturnValue(false);
+      const options = { ...defaultParams, persistKey: "report" };
+
+      const first = renderHook(() => useThunkPoll(mockThunkAction, options));
+      await act(async () => {
+        first.result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+      act(() => {
+        first.result.current.stopPolling();
+      });
+      first.unmount();
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, options)
+      );
+      expect(result.current.isPollingJobActive).toBe(false);
+      expect(result.current.attemptCount).toBe(0);
     });
   });
 
@@ -424,6 +2342,118 @@ describe("useThunkPoll", () => {
     });
   });
 
+  describe("Rejected Thunk Results", () => {
+    const rejectedAction = {
+      type: "posts/fetchPosts/rejected",
+      payload: undefined,
+      error: { message: "Failed to fetch posts" },
+      meta: { requestId: "abc", requestStatus: "rejected", aborted: false },
+    };
+
+    it("should record a rejected action as an error instead of validating it", async () => {
+      mockDispatch.mockResolvedValue(rejectedAction);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 3, 1000, mockValidator)
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(mockValidator).not.toHaveBeenCalled();
+      expect(result.current.attemptCount).toBe(1);
+      expect(result.current.lastResult).toEqual(rejectedAction);
+      expect(result.current.lastError).toEqual(rejectedAction.error);
+      expect(result.current.consecutiveErrors).toBe(1);
+      expect(result.current.isPollingJobActive).toBe(true);
+    });
+
+    it("should stop with an error status after maxConsecutiveErrors", async () => {
+      mockDispatch.mockResolvedValue(rejectedAction);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator, {
+          maxConsecutiveErrors: 2,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(result.current.attemptCount).toBe(2);
+      expect(result.current.validationStatus).toBe("error");
+      expect(result.current.isPollingJobActive).toBe(false);
+      expect(result.current.lastError).toEqual(rejectedAction.error);
+    });
+
+    it("should reset the consecutive error count after a good result", async () => {
+      mockDispatch
+        .mockResolvedValueOnce(rejectedAction)
+        .mockResolvedValueOnce({ payload: { data: "test" } })
+        .mockResolvedValueOnce(rejectedAction);
+      mockValidator.mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator, {
+          maxConsecutiveErrors: 2,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      for (let i = 0; i < 2; i++) {
+        await act(async () => {
+          jest.advanceTimersByTime(1000);
+          await Promise.resolve();
+          await Promise.resolve();
+        });
+      }
+
+      expect(result.current.attemptCount).toBe(3);
+      expect(result.current.consecutiveErrors).toBe(1);
+      expect(result.current.isPollingJobActive).toBe(true);
+    });
+
+    it("should stop right away when retryOnError returns false", async () => {
+      const error = new Error("Not found");
+      mockDispatch.mockRejectedValue(error);
+      const retryOnError = jest.fn().mockReturnValue(false);
+
+      const { result } = renderHook(() =>
+        useThunkPoll(mockThunkAction, 10, 1000, mockValidator, {
+          retryOnError,
+        })
+      );
+
+      await act(async () => {
+        result.current.startPolling();
+        await Promise.resolve();
+        await Promise.resolve();
+      });
+
+      expect(retryOnError).toHaveBeenCalledWith(error, { error });
+      expect(result.current.validationStatus).toBe("error");
+      expect(result.current.lastError).toBe(error);
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe("Reducer Edge Cases", () => {
     it("should throw error for unhandled action type", () => {
       // This tests the default case in pollingReducer which throws an error
@@ -0,0 +1,150 @@
+import { useCallback, useEffect, useMemo, useRef } from "react";
+import { useDispatch } from "react-redux";
+import { isRejected } from "@reduxjs/toolkit";
+import useThunkPoll from "./useThunkPoll";
+import { validatePollAllOptions } from "./pollOptions";
+import { ValidationVerdicts, readValidatorResult } from "./pollValidation";
+
+export const ItemStatuses = {
+  PENDING: "pending",
+  VALIDATED: "validated",
+  FAILED: "failed",
+};
+
+const createItems = (count) =>
+  Array.from({ length: count }, () => ({
+    status: ItemStatuses.PENDING,
+    attempts: 0,
+    result: null,
+    error: null,
+    failureReason: null,
+  }));
+
+const itemStatusByVerdict = {
+  [ValidationVerdicts.SUCCESS]: ItemStatuses.VALIDATED,
+  [ValidationVerdicts.CONTINUE]: ItemStatuses.PENDING,
+  [ValidationVerdicts.FAIL]: ItemStatuses.FAILED,
+};
+
+// The whole job passes once every item has, and fails once every item is
+// settled with at least one failure
+const validateItems = (items) => {
+  if (items.some((item) => item.status === ItemStatuses.PENDING)) {
+    return ValidationVerdicts.CONTINUE;
+  }
+  const failed = items.filter((item) => item.status === ItemStatuses.FAILED);
+  if (failed.length === 0) return ValidationVerdicts.SUCCESS;
+  return {
+    status: ValidationVerdicts.FAIL,
+    reason: `${failed.length} of ${items.length} items failed`,
+  };
+};
+
+// Settles one item's request into its next state
+const pollItem = (item, index, request, validator) =>
+  Promise.resolve(request)
+    .then((result) => {
+      const attempts = item.attempts + 1;
+      if (isRejected(result)) {
+        return { ...item, attempts, error: result.error };
+      }
+      const { verdict, reason } = readValidatorResult(
+        validator(result.payload, index)
+      );
+      return {
+        ...item,
+        attempts,
+        status: itemStatusByVerdict[verdict],
+        result,
+        error: null,
+        failureReason: reason,
+      };
+    })
+    .catch((error) => ({ ...item, attempts: item.attempts + 1, error }));
+
+/**
+ * Polls several thunks side by side, for example fetchPostDetails for a list
+ * of ids:
+ *
+ *   const { items, validationStatus } = useThunkPollAll(
+ *     ids.map((postId) => () => dispatch(fetchPostDetails({ postId }))),
+ *     { validator: (post, index) => Boolean(post.body), maxAttempts: 5, interval: 3000 }
+ *   );
+ *
+ * Every attempt dispatches the items that are still pending, all at once, and
+ * the validator is called per item with its payload and index. Validated and
+ * failed items are not polled again. The job succeeds once every item has
+ * validated, fails once every item is settled and one of them failed, and
+ * otherwise runs until maxAttempts or the timeout.
+ *
+ * Takes every useThunkPoll option. A rejected item is recorded on the item
+ * and retried next attempt; it does not count as a failed attempt.
+ */
+const useThunkPollAll = (thunkActions, { validator, ...options }) => {
+  validatePollAllOptions(thunkActions, { validator });
+  const dispatch = useDispatch();
+
+  // Read by the attempt, which runs outside of render
+  const thunksRef = useRef(thunkActions);
+  const validatorRef = useRef(validator);
+  useEffect(() => {
+    thunksRef.current = thunkActions;
+    validatorRef.current = validator;
+  });
+
+  const itemsRef = useRef(null);
+  // Bumped whenever a job starts, so a cycle aborted by a restart cannot
+  // overwrite the fresh items
+  const generationRef = useRef(0);
+
+  // One attempt of the job: every pending item at once. Resolves like a
+  // thunk, with the updated items as its payload.
+  const pollPendingItems = useCallback(() => {
+    const generation = generationRef.current;
+    const requests = [];
+    // A job resumed mid-way (persistKey) has no items yet
+    const current = itemsRef.current ?? createItems(thunksRef.current.length);
+    const cycle = Promise.all(
+      current.map((item, index) => {
+        if (item.status !== ItemStatuses.PENDING) return item;
+        const request = dispatch(thunksRef.current[index]);
+        requests.push(request);
+        return pollItem(item, index, request, validatorRef.current);
+      })
+    ).then((items) => {
+      if (generation === generationRef.current) itemsRef.current = items;
+      return { payload: items };
+    });
+    // Stopping the job aborts every item's request
+    cycle.abort = () =>
+      requests.forEach((request) => {
+        if (typeof request?.abort === "function") request.abort();
+      });
+    return cycle;
+  }, [dispatch]);
+
+  const { onAttempt } = options;
+  const pollingState = useThunkPoll(pollPendingItems, {
+    ...options,
+    validator: validateItems,
+    onAttempt: (attempt) => {
+      // A new job starts with every item pending again
+      if (attempt === 1) {
+        generationRef.current += 1;
+        itemsRef.current = createItems(thunksRef.current.length);
+      }
+      onAttempt?.(attempt);
+    },
+  });
+
+  const { lastResult } = pollingState;
+  const itemCount = thunkActions.length;
+  const items = useMemo(
+    () => lastResult?.payload ?? createItems(itemCount),
+    [lastResult, itemCount]
+  );
+
+  return { ...pollingState, items };
+};
+
+export default useThunkPollAll;
@@ -0,0 +1,203 @@
+import { renderHook, act } from "@testing-library/react";
+import { useDispatch } from "react-redux";
+import useThunkPollAll, { ItemStatuses } from "./useThunkPollAll";
+
+jest.mock("react-redux", () => ({
+  useDispatch: jest.fn(),
+}));
+
+jest.useFakeTimers();
+
+describe("useThunkPollAll", () => {
+  let mockDispatch;
+  let thunks;
+  let responses;
+  let validator;
+
+  const nextAttempt = async (ms = 1000) => {
+    await act(async () => {
+      jest.advanceTimersByTime(ms);
+      for (let i = 0; i < 5; i += 1) {
+        await Promise.resolve();
+      }
+    });
+  };
+
+  const renderPollAll = (options = {}) =>
+    renderHook(() =>
+      useThunkPollAll(thunks, {
+        validator,
+        maxAttempts: 3,
+        interval: 1000,
+        ...options,
+      })
+    );
+
+  const dispatchCount = (index) =>
+    mockDispatch.mock.calls.filter(([action]) => action === thunks[index])
+      .length;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.clearAllTimers();
+
+    // Each item answers with its next queued payload, then repeats the last
+    responses = [[{ body: "" }], [{ body: "" }]];
+    thunks = responses.map(() => jest.fn());
+    validator = jest.fn((post) => Boolean(post.body));
+    // Stands in for redux-thunk: the combined attempt is a function action,
+    // the items resolve like createAsyncThunk promises
+    mockDispatch = jest.fn((action) => {
+      const index = thunks.indexOf(action);
+      if (index === -1) return action();
+      const queue = responses[index];
+      const payload = queue.length > 1 ? queue.shift() : queue[0];
+      return Promise.resolve({ payload });
+    });
+    useDispatch.mockReturnValue(mockDispatch);
+  });
+
+  it("should report every item as pending before the first attempt", () => {
+    const { result } = renderPollAll();
+
+    expect(result.current.items).toEqual([
+      expect.objectContaining({ status: ItemStatuses.PENDING, attempts: 0 }),
+      expect.objectContaining({ status: ItemStatuses.PENDING, attempts: 0 }),
+    ]);
+  });
+
+  it("should poll every item in one attempt and validate each one", async () => {
+    responses[0] = [{ body: "done" }];
+    const { result } = renderPollAll();
+
+    act(() => {
+      result.current.startPolling();
+    });
+    await nextAttempt(0);
+
+    expect(dispatchCount(0)).toBe(1);
+    expect(dispatchCount(1)).toBe(1);
+    expect(validator).toHaveBeenCalledWith({ body: "done" }, 0);
+    expect(validator).toHaveBeenCalledWith({ body: "" }, 1);
+    expect(result.current.attemptCount).toBe(1);
+    expect(result.current.items.map((item) => item.status)).toEqual([
+      ItemStatuses.VALIDATED,
+      ItemStatuses.PENDING,
+    ]);
+  });
+
+  it("should only poll items that have not validated yet, until all pass", async () => {
+    responses[0] = [{ body: "done" }];
+    responses[1] = [{ body: "" }, { body: "done" }];
+    const { result } = renderPollAll();
+
+    let outcome;
+    act(() => {
+      outcome = result.current.startPolling();
+    });
+    await nextAttempt(0);
+    await nextAttempt();
+
+    expect(dispatchCount(0)).toBe(1);
+    expect(dispatchCount(1)).toBe(2);
+    expect(result.current.validationStatus).toBe("success");
+    expect(result.current.items).toEqual([
+      expect.objectContaining({ status: ItemStatuses.VALIDATED, attempts: 1 }),
+      expect.objectContaining({ status: ItemStatuses.VALIDATED, attempts: 2 }),
+    ]);
+    await expect(outcome).resolves.toEqual(
+      expect.objectContaining({ status: "success", attemptCount: 2 })
+    );
+  });
+
+  it("should give up on the remaining items when the budget runs out", async () => {
+    responses[0] = [{ body: "done" }];
+    const { result } = renderPollAll({ maxAttempts: 2 });
+
+    act(() => {
+      result.current.startPolling();
+    });
+    await nextAttempt(0);
+    await nextAttempt();
+
+    expect(result.current.validationStatus).toBe("max_attempts_reached");
+    expect(result.current.items.map((item) => item.status)).toEqual([
+      ItemStatuses.VALIDATED,
+      ItemStatuses.PENDING,
+    ]);
+  });
+
+  it("should fail once every item is settled and one of them failed", async () => {
+    responses[0] = [{ body: "done" }];
+    responses[1] = [{ status: "rejected" }];
+    validator.mockImplementation((post) =>
+      post.status === "rejected"
+        ? { status: "fail", reason: "Post was rejected" }
+        : Boolean(post.body)
+    );
+    const { result } = renderPollAll();
+
+    act(() => {
+      result.current.startPolling();
+    });
+    await nextAttempt(0);
+
+    expect(result.current.validationStatus).toBe("failed");
+    expect(result.current.failureReason).toBe("1 of 2 items failed");
+    expect(result.current.items[1]).toEqual(
+      expect.objectContaining({
+        status: ItemStatuses.FAILED,
+        failureReason: "Post was rejected",
+      })
+    );
+  });
+
+  it("should record a rejected item and retry it on the next attempt", async () => {
+    const error = new Error("Network down");
+    mockDispatch.mockImplementationOnce((action) => action());
+    mockDispatch.mockImplementationOnce(() => Promise.reject(error));
+    responses[1] = [{ body: "done" }];
+    const { result } = renderPollAll();
+
+    act(() => {
+      result.current.startPolling();
+    });
+    await nextAttempt(0);
+    expect(result.current.items[0]).toEqual(
+      expect.objectContaining({ status: ItemStatuses.PENDING, error })
+    );
+    expect(result.current.consecutiveErrors).toBe(0);
+
+    responses[0] = [{ body: "done" }];
+    await nextAttempt();
+    expect(result.current.validationStatus).toBe("success");
+    expect(result.current.items[0].error).toBeNull();
+  });
+
+  it("should start every item over when the job is restarted", async () => {
+    responses[0] = [{ body: "done" }];
+    const { result } = renderPollAll();
+
+    act(() => {
+      result.current.startPolling();
+    });
+    await nextAttempt(0);
+    act(() => {
+      result.current.startPolling();
+    });
+    await nextAttempt(0);
+
+    expect(dispatchCount(0)).toBe(2);
+    expect(result.current.items[0].attempts).toBe(1);
+  });
+
+  it("should throw a clear error for a list that is not thunk actions", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    thunks = [jest.fn(), "fetchPosts"];
+    expect(() => renderPollAll()).toThrow(
+      "useThunkPollAll: thunkActions must be an array of thunk actions"
+    );
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,100 @@
+import {
+  createAction,
+  createListenerMiddleware,
+  miniSerializeError,
+} from "@reduxjs/toolkit";
+import createPoller from "../hooks/createPoller";
+
+/**
+ * Starts (or restarts) a poll without mounting a hook:
+ *   dispatch(startPoll({ key: "posts", thunk: fetchPosts(), validator, maxAttempts, interval }))
+ * Accepts every useThunkPoll option. `key` is required; the poll is mirrored
+ * into the polling slice under it and stopped with stopPoll(key). The poller
+ * stays connected until its job settles, so pauseWhenHidden, pauseWhenOffline
+ * and persistKey work as they do in the hook.
+ */
+export const startPoll = createAction("polling/startPoll");
+export const stopPoll = createAction("polling/stopPoll");
+
+// Dispatched for every attempt of a poll started with startPoll, so reducers
+// and other listeners can react without subscribing to the poller
+export const pollAttemptStarted = createAction(
+  "polling/attemptStarted",
+  (key, attempt) => ({ payload: { key, attempt } })
+);
+export const pollAttemptSucceeded = createAction(
+  "polling/attemptSucceeded",
+  (key, attempt, result) => ({
+    payload: { key, attempt, payload: result.payload },
+  })
+);
+export const pollAttemptFailed = createAction(
+  "polling/attemptFailed",
+  (key, attempt, error) => ({
+    payload: { key, attempt, error: miniSerializeError(error) },
+  })
+);
+export const pollSettled = createAction(
+  "polling/settled",
+  (key, { status, attemptCount }) => ({
+    payload: { key, status, attemptCount },
+  })
+);
+
+const pollers = new Map();
+
+const pollingListener = createListenerMiddleware();
+
+pollingListener.startListening({
+  actionCreator: startPoll,
+  effect: (action, listenerApi) => {
+    const { key, thunk, ...options } = action.payload;
+    const { dispatch } = listenerApi;
+    if (key == null) {
+      throw new Error("startPoll: key is required");
+    }
+
+    pollers.get(key)?.stop();
+    let disconnect = null;
+    const poller = createPoller({
+      ...options,
+      key,
+      thunk,
+      dispatch,
+      onAttempt: (attempt) => {
+        dispatch(pollAttemptStarted(key, attempt));
+        options.onAttempt?.(attempt);
+      },
+      onResult: (result, attempt) => {
+        dispatch(pollAttemptSucceeded(key, attempt, result));
+        options.onResult?.(result, attempt);
+      },
+      onError: (error, attempt, result) => {
+        dispatch(pollAttemptFailed(key, attempt, error));
+        options.onError?.(error, attempt, result);
+      },
+      onSettled: (outcome) => {
+        if (pollers.get(key) === poller) pollers.delete(key);
+        disconnect?.();
+        dispatch(pollSettled(key, outcome));
+        options.onSettled?.(outcome);
+      },
+    });
+    pollers.set(key, poller);
+    disconnect = poller.connect();
+    // A job saved under persistKey resumes on connect rather than starting
+    // over. Failures are reported through pollSettled and the polling slice.
+    if (!poller.getState().isPollingJobActive) {
+      poller.start().catch(() => {});
+    }
+  },
+});
+
+pollingListener.startListening({
+  actionCreator: stopPoll,
+  effect: (action) => {
+    pollers.get(action.payload)?.stop();
+  },
+});
+
+export default pollingListener;
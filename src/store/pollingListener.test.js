@@ -0,0 +1,200 @@
+import { configureStore, createAsyncThunk } from "@reduxjs/toolkit";
+import pollingReducer, { selectPollState } from "./pollingSlice";
+import pollingListener, {
+  startPoll,
+  stopPoll,
+  pollAttemptStarted,
+  pollAttemptSucceeded,
+  pollAttemptFailed,
+  pollSettled,
+} from "./pollingListener";
+
+jest.useFakeTimers();
+
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+describe("pollingListener", () => {
+  let store;
+  let actions;
+  let fetchCount;
+  let responses;
+
+  beforeEach(() => {
+    actions = [];
+    responses = [];
+    fetchCount = createAsyncThunk("test/fetchCount", async () => {
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    });
+
+    store = configureStore({
+      reducer: {
+        polling: pollingReducer,
+        log: (state = null, action) => {
+          actions.push(action);
+          return state;
+        },
+      },
+      middleware: (getDefaultMiddleware) =>
+        getDefaultMiddleware({
+          serializableCheck: { ignoredActions: [startPoll.type] },
+        }).prepend(pollingListener.middleware),
+    });
+  });
+
+  afterEach(() => {
+    store.dispatch(stopPoll("count"));
+    jest.clearAllTimers();
+  });
+
+  const startCountPoll = (options = {}) =>
+    store.dispatch(
+      startPoll({
+        key: "count",
+        thunk: fetchCount(),
+        validator: (count) => count >= 2,
+        maxAttempts: 3,
+        interval: 1000,
+        ...options,
+      })
+    );
+
+  const actionsOfType = (actionCreator) =>
+    actions.filter((action) => actionCreator.match(action));
+
+  it("should poll until the validator passes", async () => {
+    responses = [1, 2];
+
+    startCountPoll();
+    await flushPromises();
+    expect(selectPollState(store.getState(), "count").attemptCount).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(selectPollState(store.getState(), "count")).toEqual(
+      expect.objectContaining({
+        isPollingJobActive: false,
+        validationStatus: "success",
+        attemptCount: 2,
+      })
+    );
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it("should dispatch per-attempt actions", async () => {
+    responses = [1, new Error("Server down"), 2];
+
+    startCountPoll();
+    await flushPromises();
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(
+      actionsOfType(pollAttemptStarted).map(({ payload }) => payload)
+    ).toEqual([
+      { key: "count", attempt: 1 },
+      { key: "count", attempt: 2 },
+      { key: "count", attempt: 3 },
+    ]);
+    expect(
+      actionsOfType(pollAttemptSucceeded).map(({ payload }) => payload)
+    ).toEqual([
+      { key: "count", attempt: 1, payload: 1 },
+      { key: "count", attempt: 3, payload: 2 },
+    ]);
+    expect(actionsOfType(pollAttemptFailed)[0].payload).toEqual({
+      key: "count",
+      attempt: 2,
+      error: expect.objectContaining({ message: "Server down" }),
+    });
+    expect(actionsOfType(pollSettled).map(({ payload }) => payload)).toEqual([
+      { key: "count", status: "success", attemptCount: 3 },
+    ]);
+  });
+
+  it("should give up after maxAttempts", async () => {
+    responses = [0, 0];
+
+    startCountPoll({ maxAttempts: 2 });
+    await flushPromises();
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(actionsOfType(pollSettled)[0].payload.status).toBe(
+      "max_attempts_reached"
+    );
+  });
+
+  it("should stop a running poll on stopPoll", async () => {
+    responses = [0, 0];
+
+    startCountPoll();
+    await flushPromises();
+    store.dispatch(stopPoll("count"));
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+
+    expect(actionsOfType(pollAttemptStarted)).toHaveLength(1);
+    expect(selectPollState(store.getState(), "count").isPollingJobActive).toBe(
+      false
+    );
+  });
+
+  it("should replace a running poll started again with the same key", async () => {
+    responses = [0, 0];
+    const onSettled = jest.fn();
+
+    startCountPoll({ onSettled });
+    await flushPromises();
+    startCountPoll();
+    await flushPromises();
+
+    expect(onSettled).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "stopped" })
+    );
+    expect(selectPollState(store.getState(), "count").attemptCount).toBe(1);
+    expect(selectPollState(store.getState(), "count").isPollingJobActive).toBe(
+      true
+    );
+  });
+
+  it("should hold the poll while offline and carry on once back online", async () => {
+    responses = [1, 2];
+    const onLineSpy = jest
+      .spyOn(window.navigator, "onLine", "get")
+      .mockReturnValue(false);
+
+    startCountPoll();
+    await flushPromises();
+    expect(actionsOfType(pollAttemptStarted)).toHaveLength(0);
+    expect(selectPollState(store.getState(), "count").isOffline).toBe(true);
+
+    onLineSpy.mockReturnValue(true);
+    window.dispatchEvent(new Event("online"));
+    await flushPromises();
+    expect(actionsOfType(pollAttemptStarted)).toHaveLength(1);
+    onLineSpy.mockRestore();
+  });
+
+  it("should stop watching the browser once the poll settles", async () => {
+    responses = [2];
+    const removeListener = jest.spyOn(window, "removeEventListener");
+
+    startCountPoll();
+    await flushPromises();
+
+    expect(selectPollState(store.getState(), "count").validationStatus).toBe(
+      "success"
+    );
+    expect(removeListener).toHaveBeenCalledWith("online", expect.any(Function));
+    removeListener.mockRestore();
+  });
+});
@@ -0,0 +1,108 @@
+import { createSlice } from "@reduxjs/toolkit";
+import { ActionTypes } from "../hooks/pollingReducer";
+
+// What a poll looks like in the store. lastResult/lastError stay inside the
+// hook because they are not guaranteed to be serializable.
+export const initialPollState = {
+  isPollingJobActive: false,
+  isPolling: false,
+  attemptCount: 0,
+  consecutiveErrors: 0,
+  history: [],
+  nextPollAt: null,
+  validationStatus: null,
+  failureReason: null,
+  lastErrorMessage: null,
+  isHidden: false,
+  isOffline: false,
+  isPaused: false,
+  startedAt: null,
+  lastAttemptAt: null,
+  lastResultAt: null,
+  settledAt: null,
+};
+
+const SETTLING_EVENTS = [
+  ActionTypes.STOP_POLLING,
+  ActionTypes.VALIDATION_SUCCESS,
+  ActionTypes.VALIDATION_FAILED,
+  ActionTypes.MAX_ATTEMPTS_REACHED,
+  ActionTypes.TIMED_OUT,
+  ActionTypes.STOPPED_ON_ERROR,
+];
+
+export const toPollSnapshot = (pollState) => ({
+  isPollingJobActive: pollState.isPollingJobActive,
+  isPolling: pollState.isPolling,
+  attemptCount: pollState.attemptCount,
+  consecutiveErrors: pollState.consecutiveErrors,
+  history: pollState.history,
+  nextPollAt: pollState.nextPollAt,
+  validationStatus: pollState.validationStatus,
+  failureReason: pollState.failureReason,
+  lastErrorMessage: pollState.lastError?.message ?? null,
+  isHidden: pollState.isHidden,
+  isOffline: pollState.isOffline,
+  isPaused: pollState.isPaused,
+});
+
+const pollingSlice = createSlice({
+  name: "polling",
+  initialState: {},
+  reducers: {
+    // Mirrors one useThunkPoll state transition. `event` is the hook's
+    // internal action type, which also drives the timestamps.
+    pollStateSynced: {
+      reducer: (state, action) => {
+        const { key, event, snapshot, timestamp } = action.payload;
+        const poll = { ...(state[key] ?? initialPollState), ...snapshot };
+
+        if (event === ActionTypes.START_POLLING) {
+          poll.startedAt = timestamp;
+          poll.lastAttemptAt = null;
+          poll.lastResultAt = null;
+          poll.settledAt = null;
+        } else if (
+          event === ActionTypes.EXTEND_POLLING ||
+          event === ActionTypes.JOB_ADOPTED
+        ) {
+          poll.settledAt = null;
+        } else if (event === ActionTypes.RESET_POLLING) {
+          poll.startedAt = null;
+          poll.lastAttemptAt = null;
+          poll.lastResultAt = null;
+          poll.settledAt = null;
+        } else if (event === ActionTypes.POLL_INIT) {
+          poll.lastAttemptAt = timestamp;
+        } else if (
+          event === ActionTypes.POLL_RESULT ||
+          event === ActionTypes.POLL_ERROR
+        ) {
+          poll.lastResultAt = timestamp;
+        } else if (SETTLING_EVENTS.includes(event)) {
+          poll.settledAt = timestamp;
+        }
+
+        state[key] = poll;
+      },
+      prepare: (key, event, snapshot) => ({
+        payload: { key, event, snapshot, timestamp: Date.now() },
+      }),
+    },
+    pollRemoved: (state, action) => {
+      delete state[action.payload];
+    },
+  },
+});
+
+export const selectPollState = (state, key) =>
+  state.polling?.[key] ?? initialPollState;
+
+export const selectPollStatus = (state, key) =>
+  selectPollState(state, key).validationStatus;
+
+export const selectIsPollActive = (state, key) =>
+  selectPollState(state, key).isPollingJobActive;
+
+export const { pollStateSynced, pollRemoved } = pollingSlice.actions;
+export default pollingSlice.reducer;
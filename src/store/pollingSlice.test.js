@@ -0,0 +1,125 @@
+import pollingReducer, {
+  pollStateSynced,
+  pollRemoved,
+  initialPollState,
+  toPollSnapshot,
+  selectPollState,
+  selectPollStatus,
+  selectIsPollActive,
+} from "./pollingSlice";
+import { ActionTypes, initialState } from "../hooks/pollingReducer";
+
+describe("pollingSlice", () => {
+  beforeEach(() => {
+    jest.spyOn(Date, "now").mockReturnValue(1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const sync = (state, event, hookState, now = 1000) => {
+    Date.now.mockReturnValue(now);
+    return pollingReducer(
+      state,
+      pollStateSynced("posts", event, toPollSnapshot(hookState))
+    );
+  };
+
+  it("should start with no polls", () => {
+    expect(pollingReducer(undefined, { type: "@@INIT" })).toEqual({});
+  });
+
+  it("should record a started poll under its key", () => {
+    const state = sync({}, ActionTypes.START_POLLING, {
+      ...initialState,
+      isPollingJobActive: true,
+    });
+
+    expect(state.posts).toEqual({
+      ...initialPollState,
+      isPollingJobActive: true,
+      startedAt: 1000,
+    });
+  });
+
+  it("should track attempt, result and settle timestamps", () => {
+    let state = sync({}, ActionTypes.START_POLLING, {
+      ...initialState,
+      isPollingJobActive: true,
+    });
+    state = sync(
+      state,
+      ActionTypes.POLL_INIT,
+      { ...initialState, isPollingJobActive: true, isPolling: true },
+      1100
+    );
+    state = sync(
+      state,
+      ActionTypes.POLL_RESULT,
+      { ...initialState, isPollingJobActive: true, attemptCount: 1 },
+      1200
+    );
+    state = sync(
+      state,
+      ActionTypes.VALIDATION_SUCCESS,
+      { ...initialState, attemptCount: 1, validationStatus: "success" },
+      1300
+    );
+
+    expect(state.posts).toEqual(
+      expect.objectContaining({
+        isPollingJobActive: false,
+        attemptCount: 1,
+        validationStatus: "success",
+        startedAt: 1000,
+        lastAttemptAt: 1100,
+        lastResultAt: 1200,
+        settledAt: 1300,
+      })
+    );
+  });
+
+  it("should keep only serializable parts of the hook state", () => {
+    const snapshot = toPollSnapshot({
+      ...initialState,
+      lastResult: { payload: [] },
+      lastError: new Error("Failed to fetch posts"),
+    });
+
+    expect(snapshot).not.toHaveProperty("lastResult");
+    expect(snapshot).not.toHaveProperty("lastError");
+    expect(snapshot.lastErrorMessage).toBe("Failed to fetch posts");
+  });
+
+  it("should remove a poll", () => {
+    const state = sync({}, ActionTypes.START_POLLING, initialState);
+
+    expect(pollingReducer(state, pollRemoved("posts"))).toEqual({});
+  });
+
+  describe("selectors", () => {
+    const rootState = {
+      polling: {
+        posts: {
+          ...initialPollState,
+          isPollingJobActive: true,
+          validationStatus: null,
+        },
+        details: { ...initialPollState, validationStatus: "timed_out" },
+      },
+    };
+
+    it("should select a poll by key", () => {
+      expect(selectPollState(rootState, "posts")).toBe(rootState.polling.posts);
+      expect(selectIsPollActive(rootState, "posts")).toBe(true);
+      expect(selectPollStatus(rootState, "details")).toBe("timed_out");
+    });
+
+    it("should fall back to the initial poll state for unknown keys", () => {
+      expect(selectPollState(rootState, "unknown")).toBe(initialPollState);
+      expect(selectPollState({}, "posts")).toBe(initialPollState);
+      expect(selectPollStatus(rootState, "unknown")).toBe(null);
+    });
+  });
+});
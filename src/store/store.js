@@ -1,9 +1,17 @@
 import { configureStore } from "@reduxjs/toolkit";
 import postReducer from "../components/Posts/postSlice";
+import pollingReducer from "./pollingSlice";
+import pollingListener, { startPoll } from "./pollingListener";
 const store = configureStore({
   reducer: {
     posts: postReducer,
+    polling: pollingReducer,
   },
+  middleware: (getDefaultMiddleware) =>
+    getDefaultMiddleware({
+      // startPoll carries the thunk, validator and callbacks
+      serializableCheck: { ignoredActions: [startPoll.type] },
+    }).prepend(pollingListener.middleware),
 });
 
 export default store;